@@ -1,10 +1,388 @@
 // Pastecase - Clipboard Manager Application
 // Local storage management using IndexedDB
 
+// Backup file format written by Export All and accepted by Import
+const BACKUP_FORMAT = "pastecase-backup";
+const BACKUP_VERSION = 1;
+
+// Decode a base64 data URL into a Blob without going through fetch().
+// Throws when the string isn't a data URL or its data can't be decoded
+function dataUrlToBlob(dataUrl) {
+  const comma = dataUrl.indexOf(",");
+  const header = comma === -1 ? "" : dataUrl.slice(0, comma);
+  const data = dataUrl.slice(comma + 1);
+  const match = header.match(/^data:([^;,]*)/);
+  if (!match) throw new Error("not a data URL");
+
+  const mimeType = match[1];
+  const binary = header.endsWith(";base64")
+    ? atob(data)
+    : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+// Encode a Blob as a base64 data URL
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Copy a File into a plain Blob so the stored record doesn't keep the File name
+function fileToBlob(file) {
+  return file.slice(0, file.size, file.type);
+}
+
+// Human-readable size, e.g. "1.4 MB"
+function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes)) return "";
+  const units = ["B", "KB", "MB", "GB"];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+// SHA-256 of clip content as hex, used to find identical clips
+// Text is hashed as UTF-8, images and files by their bytes so filenames
+// don't matter
+async function hashContent(content) {
+  const data =
+    content instanceof Blob
+      ? await content.arrayBuffer()
+      : new TextEncoder().encode(content);
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+// Longest side of the generated card thumbnails, in pixels
+const THUMBNAIL_SIZE = 480;
+
+// Largest LCS table (cells) the history diff builds, about 16 MB of numbers
+const MAX_DIFF_CELLS = 2000000;
+
+// Formats images can be converted to; quality (0-1) is ignored for PNG
+const IMAGE_FORMATS = {
+  "image/png": "PNG",
+  "image/jpeg": "JPEG",
+  "image/webp": "WebP",
+};
+const DEFAULT_IMAGE_CONVERSION = { type: "image/png", quality: 0.92 };
+
+// Commands that can be bound to keys and run from the command palette.
+// Bindings name keys by KeyboardEvent.code, so they stay on the same
+// physical keys with any layout; "Mod" is Ctrl, or Cmd on a Mac. Only
+// commands with typing: true run while a text field has focus, and only
+// those with dialog: true while a dialog is open
+const COMMANDS = {
+  palette: {
+    name: "Open command palette",
+    binding: "Mod+KeyK",
+    typing: true,
+    dialog: true,
+    palette: false,
+  },
+  addText: { name: "Add text", binding: "Ctrl+Shift+Digit1", typing: true },
+  addImage: { name: "Add image", binding: "Ctrl+Shift+Digit2", typing: true },
+  addFile: { name: "Add file", binding: "Ctrl+Shift+Digit3", typing: true },
+  paste: { name: "Paste from clipboard", binding: "Mod+KeyV" },
+  search: { name: "Search clips", binding: "Slash" },
+  showAll: { name: "Show all categories", binding: "Alt+Digit0" },
+  showText: { name: "Show text clips", binding: "Alt+Digit1" },
+  showImages: { name: "Show image clips", binding: "Alt+Digit2" },
+  showFiles: { name: "Show file clips", binding: "Alt+Digit3" },
+  showFavorites: { name: "Show favourites", binding: "Alt+Digit4" },
+  copyClip: { name: "Copy focused clip", binding: "KeyC" },
+  editClip: { name: "Edit focused clip", binding: "KeyE" },
+  deleteClip: { name: "Delete focused clip", binding: "Delete" },
+  undoImageEdit: {
+    name: "Undo image edit",
+    binding: "Mod+KeyZ",
+    dialog: true,
+  },
+  findDuplicates: { name: "Find duplicates", binding: "" },
+  importBackup: { name: "Import backup", binding: "" },
+  exportAll: { name: "Export all clips", binding: "" },
+  settings: { name: "Open settings", binding: "" },
+  closeModals: {
+    name: "Close dialogs",
+    binding: "Escape",
+    typing: true,
+    dialog: true,
+    palette: false,
+  },
+};
+
+// Write the keys of a keyboard event as a binding, e.g. "Ctrl+Shift+Digit1"
+function getEventBinding(event) {
+  const parts = [];
+  if (event.ctrlKey) parts.push("Ctrl");
+  if (event.metaKey) parts.push("Meta");
+  if (event.altKey) parts.push("Alt");
+  if (event.shiftKey) parts.push("Shift");
+  parts.push(event.code);
+  return parts.join("+");
+}
+
+// Check whether a binding matches the binding of a keyboard event
+function matchesBinding(binding, eventBinding) {
+  if (!binding) return false;
+  if (binding.startsWith("Mod+")) {
+    const rest = binding.slice("Mod+".length);
+    return eventBinding === `Ctrl+${rest}` || eventBinding === `Meta+${rest}`;
+  }
+  return binding === eventBinding;
+}
+
+// Show a binding the way it's printed on the keys, e.g. "Ctrl+Shift+1"
+function formatBinding(binding) {
+  if (!binding) return "";
+  const mac = /Mac|iPhone|iPad/.test(navigator.platform);
+  const names = {
+    Mod: mac ? "⌘" : "Ctrl",
+    Meta: mac ? "⌘" : "Meta",
+    Alt: mac ? "⌥" : "Alt",
+    Escape: "Esc",
+    Slash: "/",
+    Backslash: "\\",
+    Comma: ",",
+    Period: ".",
+    Semicolon: ";",
+    Quote: "'",
+    Backquote: "`",
+    Minus: "-",
+    Equal: "=",
+    BracketLeft: "[",
+    BracketRight: "]",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+  };
+  return binding
+    .split("+")
+    .map((part) => names[part] || part.replace(/^(Key|Digit|Numpad)/, ""))
+    .join("+");
+}
+
+// Score how well a query matches text as a subsequence, so "adim" finds
+// "Add image"; consecutive letters and word starts score higher. Returns
+// null when a letter of the query doesn't occur in order
+function fuzzyMatch(query, text) {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+
+  for (const char of query.toLowerCase().replace(/\s+/g, "")) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || haystack[index - 1] === " ") score += 3;
+    previous = index;
+    position = index + 1;
+  }
+  return score;
+}
+
+// Where the bundled OCR engine lives (see vendor/tesseract/README.md)
+const OCR_PATH = "vendor/tesseract/";
+const OCR_LANGUAGE = "eng";
+
+// Scripts of the OCR engine: Tesseract.js itself, then its worker, core
+// and language data, which register as strings in window.PastecaseOcrFiles
+const OCR_SCRIPTS = ["tesseract.min.js", "worker.js", "core.js", "eng.js"];
+
+// File extension for an image MIME type, e.g. "jpg" for image/jpeg
+function getImageExtension(mimeType) {
+  const extensions = {
+    "image/jpeg": "jpg",
+    "image/svg+xml": "svg",
+    "image/x-icon": "ico",
+  };
+  return extensions[mimeType] || mimeType.split("/")[1] || "png";
+}
+
+// Normalize a tag: unify width variants, collapse whitespace, ignore case
+function normalizeTag(tag) {
+  return tag.normalize("NFKC").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// {{placeholder}} in template clips; names may contain spaces
+const TEMPLATE_PATTERN = /\{\{\s*([^{}\n]+?)\s*\}\}/g;
+
+// Placeholders filled in automatically instead of asking
+const BUILTIN_PLACEHOLDERS = ["date", "time", "clipboard"];
+
+// Unique placeholder names of a template, in order of appearance
+function getTemplatePlaceholders(text) {
+  return [...new Set(Array.from(text.matchAll(TEMPLATE_PATTERN), (m) => m[1]))];
+}
+
+// Replace placeholders with their values; unknown ones are left as they are
+// Only own properties count, so {{constructor}} isn't taken from Object
+function fillTemplate(text, values) {
+  return text.replace(TEMPLATE_PATTERN, (match, name) =>
+    Object.hasOwn(values, name) ? values[name] : match
+  );
+}
+
+// Encode text as Base64 via its UTF-8 bytes
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Decode Base64 holding UTF-8 text; whitespace is ignored
+function decodeBase64(text) {
+  const binary = atob(text.replace(/\s+/g, ""));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+}
+
+// Split each line into words for case conversions, including camelCase humps
+function changeCase(text, join) {
+  return text
+    .split("\n")
+    .map((line) => {
+      const words = line
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, "$1 $2")
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean)
+        .map((word) => word.toLowerCase());
+      return words.length > 0 ? join(words) : line;
+    })
+    .join("\n");
+}
+
+// Text transformations offered when copying; apply throws on bad input
+const TEXT_TRANSFORMS = {
+  trim: {
+    name: "Trim whitespace",
+    apply: (text) =>
+      text
+        .split("\n")
+        .map((line) => line.trimEnd())
+        .join("\n")
+        .trim(),
+  },
+  upper: { name: "UPPER CASE", apply: (text) => text.toUpperCase() },
+  lower: { name: "lower case", apply: (text) => text.toLowerCase() },
+  camel: {
+    name: "camelCase",
+    apply: (text) =>
+      changeCase(text, (words) =>
+        words
+          .map((word, index) =>
+            index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)
+          )
+          .join("")
+      ),
+  },
+  snake: {
+    name: "snake_case",
+    apply: (text) => changeCase(text, (words) => words.join("_")),
+  },
+  jsonPretty: {
+    name: "JSON pretty-print",
+    apply: (text) => JSON.stringify(JSON.parse(text), null, 2),
+  },
+  jsonMinify: {
+    name: "JSON minify",
+    apply: (text) => JSON.stringify(JSON.parse(text)),
+  },
+  urlEncode: { name: "URL encode", apply: (text) => encodeURIComponent(text) },
+  urlDecode: { name: "URL decode", apply: (text) => decodeURIComponent(text) },
+  base64Encode: { name: "Base64 encode", apply: encodeBase64 },
+  base64Decode: { name: "Base64 decode", apply: decodeBase64 },
+  lf: {
+    name: "Line endings: LF",
+    apply: (text) => text.replace(/\r\n?/g, "\n"),
+  },
+  crlf: {
+    name: "Line endings: CRLF",
+    apply: (text) => text.replace(/\r\n?/g, "\n").replace(/\n/g, "\r\n"),
+  },
+};
+
+// Run transformations one after another
+function applyTransforms(text, steps) {
+  return steps.reduce((result, step) => {
+    try {
+      return TEXT_TRANSFORMS[step].apply(result);
+    } catch (error) {
+      throw new Error(`${TEXT_TRANSFORMS[step].name} failed: ${error.message}`);
+    }
+  }, text);
+}
+
+// Longer text clips are shown without syntax colouring to keep rendering fast
+const HIGHLIGHT_LIMIT = 20000;
+
+// Tag given to clips saved by automatic clipboard capture
+const AUTO_CAPTURE_TAG = "auto-captured";
+
+// Automatic capture is opt-in; the history limit only counts unpinned
+// auto-captured clips
+const DEFAULT_AUTO_CAPTURE = { enabled: false, maxHistory: 100 };
+
+// Tag colour choices; tags without a colour use blue
+const TAG_COLORS = {
+  blue: {
+    chip: "bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-800",
+    swatch: "bg-blue-500",
+  },
+  green: {
+    chip: "bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 hover:bg-green-200 dark:hover:bg-green-800",
+    swatch: "bg-green-500",
+  },
+  red: {
+    chip: "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200 hover:bg-red-200 dark:hover:bg-red-800",
+    swatch: "bg-red-500",
+  },
+  orange: {
+    chip: "bg-orange-100 dark:bg-orange-900 text-orange-800 dark:text-orange-200 hover:bg-orange-200 dark:hover:bg-orange-800",
+    swatch: "bg-orange-500",
+  },
+  yellow: {
+    chip: "bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 hover:bg-yellow-200 dark:hover:bg-yellow-800",
+    swatch: "bg-yellow-500",
+  },
+  purple: {
+    chip: "bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200 hover:bg-purple-200 dark:hover:bg-purple-800",
+    swatch: "bg-purple-500",
+  },
+  pink: {
+    chip: "bg-pink-100 dark:bg-pink-900 text-pink-800 dark:text-pink-200 hover:bg-pink-200 dark:hover:bg-pink-800",
+    swatch: "bg-pink-500",
+  },
+  gray: {
+    chip: "bg-apple-gray-100 dark:bg-apple-gray-700 text-apple-gray-800 dark:text-apple-gray-200 hover:bg-apple-gray-200 dark:hover:bg-apple-gray-600",
+    swatch: "bg-apple-gray-500",
+  },
+};
+
 class PastecaseDB {
   constructor() {
     this.dbName = "PastecaseDB";
-    this.version = 1;
+    this.version = 6;
     this.db = null;
   }
 
@@ -35,17 +413,73 @@ class PastecaseDB {
             multiEntry: true,
           });
         }
+
+        // Version 2: previous versions of text clips
+        if (!db.objectStoreNames.contains("revisions")) {
+          const revisions = db.createObjectStore("revisions", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          revisions.createIndex("clipId", "clipId", { unique: false });
+        }
+
+        // Version 3: images are stored as Blobs instead of data URLs
+        if (event.oldVersion > 0 && event.oldVersion < 3) {
+          const clips = event.target.transaction.objectStore("clips");
+          clips.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+
+            // A clip that can't be converted stays as it is; throwing here
+            // would abort the upgrade and lock the user out of every clip
+            const clip = cursor.value;
+            if (clip.type === "image" && typeof clip.content === "string") {
+              try {
+                const content = dataUrlToBlob(clip.content);
+                cursor.update({ ...clip, content });
+              } catch (error) {
+                console.warn(`Clip ${clip.id} left unconverted:`, error);
+              }
+            }
+            cursor.continue();
+          };
+        }
+
+        // Version 4: key-value application settings
+        if (!db.objectStoreNames.contains("settings")) {
+          db.createObjectStore("settings", { keyPath: "key" });
+        }
+
+        // Version 5: collections; clips without one are in the default
+        if (!db.objectStoreNames.contains("collections")) {
+          db.createObjectStore("collections", {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+        const clips = event.target.transaction.objectStore("clips");
+        if (!clips.indexNames.contains("collectionId")) {
+          clips.createIndex("collectionId", "collectionId", { unique: false });
+        }
+
+        // Version 6: content hashes; existing clips are hashed after opening
+        if (!clips.indexNames.contains("contentHash")) {
+          clips.createIndex("contentHash", "contentHash", { unique: false });
+        }
       };
     });
   }
 
   // Save clip
   async saveClip(clipData) {
+    const contentHash =
+      clipData.contentHash || (await hashContent(clipData.content));
     const transaction = this.db.transaction(["clips"], "readwrite");
     const store = transaction.objectStore("clips");
 
     const clip = {
       ...clipData,
+      contentHash,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
@@ -57,6 +491,18 @@ class PastecaseDB {
     });
   }
 
+  // Get the clips whose content has the given hash
+  async getClipsByHash(contentHash) {
+    const transaction = this.db.transaction(["clips"], "readonly");
+    const index = transaction.objectStore("clips").index("contentHash");
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(contentHash);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   // Get all clips
   async getAllClips() {
     const transaction = this.db.transaction(["clips"], "readonly");
@@ -69,730 +515,7002 @@ class PastecaseDB {
     });
   }
 
-  // Delete clip
-  async deleteClip(id) {
-    const transaction = this.db.transaction(["clips"], "readwrite");
+  // Update clip fields in place, keeping createdAt
+  // Text clips keep their previous content, tags and memo as a revision
+  // Pass { touch: false } for derived data that isn't a user edit, and
+  // { contentHash } to resolve with null instead when the content has
+  // changed since that hash was taken
+  async updateClip(id, patch, { touch = true, contentHash } = {}) {
+    if ("content" in patch && !("contentHash" in patch)) {
+      patch = { ...patch, contentHash: await hashContent(patch.content) };
+    }
+    const transaction = this.db.transaction(
+      ["clips", "revisions"],
+      "readwrite"
+    );
     const store = transaction.objectStore("clips");
+    const revisions = transaction.objectStore("revisions");
 
     return new Promise((resolve, reject) => {
-      const request = store.delete(id);
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
-  }
+      let clip = null;
+      const getRequest = store.get(id);
+      getRequest.onerror = () => reject(getRequest.error);
+      getRequest.onsuccess = () => {
+        const existing = getRequest.result;
+        if (!existing) {
+          reject(new Error(`Clip ${id} not found`));
+          return;
+        }
+        if (
+          contentHash !== undefined &&
+          (existing.contentHash ?? null) !== contentHash
+        ) {
+          return;
+        }
 
-  // Search clips
-  async searchClips(query, type = null) {
-    const clips = await this.getAllClips();
-    return clips.filter((clip) => {
-      const matchesType = !type || clip.type === type;
-      const matchesQuery =
-        !query ||
-        clip.content.toLowerCase().includes(query.toLowerCase()) ||
-        (clip.memo && clip.memo.toLowerCase().includes(query.toLowerCase())) ||
-        clip.tags.some((tag) =>
-          tag.toLowerCase().includes(query.toLowerCase())
-        );
+        clip = {
+          ...existing,
+          ...patch,
+          id: existing.id,
+          createdAt: existing.createdAt,
+          updatedAt: touch ? new Date().toISOString() : existing.updatedAt,
+        };
+
+        // Text clips keep every edit, images only replaced pictures
+        const tracked =
+          existing.type === "text" ||
+          (existing.type === "image" && "content" in patch);
+        if (touch && tracked && this.hasRevisionChanges(existing, clip)) {
+          revisions.add({
+            clipId: existing.id,
+            content: existing.content,
+            html: existing.html,
+            tags: existing.tags,
+            memo: existing.memo || "",
+            // A restored picture brings its own thumbnail and metadata back
+            ...(existing.type === "image" && {
+              thumbnail: existing.thumbnail,
+              ocrText: existing.ocrText,
+              filename: existing.filename,
+              filesize: existing.filesize,
+              mimeType: existing.mimeType,
+            }),
+            createdAt: existing.updatedAt,
+            replacedAt: clip.updatedAt,
+          });
+        }
+
+        store.put(clip);
+      };
 
-      return matchesType && matchesQuery;
+      // The update only counts once its revision is stored too
+      transaction.oncomplete = () => resolve(clip);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
     });
   }
-}
 
-class PastecaseApp {
-  constructor() {
-    this.db = new PastecaseDB();
-    this.clips = [];
-    this.currentSort = "newest";
-    this.currentFilter = "";
-    this.currentSearch = "";
-    this.clipboardUsed = false;
-    this.clipboardImageUsed = false;
+  // Check whether an update touches the fields tracked by revisions
+  hasRevisionChanges(before, after) {
+    return (
+      before.content !== after.content ||
+      (before.html || "") !== (after.html || "") ||
+      (before.memo || "") !== (after.memo || "") ||
+      before.tags.join("\n") !== after.tags.join("\n")
+    );
+  }
 
-    this.init();
+  // Get the revisions of a clip, newest first
+  async getRevisions(clipId) {
+    const transaction = this.db.transaction(["revisions"], "readonly");
+    const index = transaction.objectStore("revisions").index("clipId");
+
+    return new Promise((resolve, reject) => {
+      const request = index.getAll(clipId);
+      request.onsuccess = () =>
+        resolve(request.result.sort((a, b) => b.id - a.id));
+      request.onerror = () => reject(request.error);
+    });
   }
 
-  async init() {
-    try {
-      await this.db.init();
-      await this.loadClips();
-      this.bindEvents();
-      this.renderClips();
-    } catch (error) {
-      console.error("Initialization error:", error);
-      this.showError("Failed to initialize the application");
+  // Restore a revision as the current content of its clip
+  async restoreRevision(revision) {
+    const patch = {
+      content: revision.content,
+      tags: revision.tags,
+      memo: revision.memo,
+    };
+    if ("thumbnail" in revision) {
+      Object.assign(patch, {
+        thumbnail: revision.thumbnail,
+        ocrText: revision.ocrText ?? null,
+        filename: revision.filename,
+        filesize: revision.filesize,
+        mimeType: revision.mimeType,
+      });
+    } else {
+      patch.html = revision.html || null;
     }
+    return this.updateClip(revision.clipId, patch);
   }
 
-  // Bind events
-  bindEvents() {
-    // Modal related events
-    document
-      .getElementById("add-text-btn")
-      .addEventListener("click", () => this.showTextModal());
-    document
-      .getElementById("add-image-btn")
-      .addEventListener("click", () => this.showImageModal());
-
-    // Text modal events
-    document
-      .getElementById("text-modal-cancel")
-      .addEventListener("click", () => this.hideTextModal());
-    document
-      .getElementById("text-modal-save")
-      .addEventListener("click", () => this.saveTextClip());
+  // Add imported clips in one transaction, keeping their timestamps
+  // Resolves with the number of added clips and the per-clip errors
+  // Replacing also clears the revisions and collections of the old library
+  async importClips(clips, replace = false) {
+    for (const { clip } of clips) {
+      if (!clip.contentHash) clip.contentHash = await hashContent(clip.content);
+    }
+    const transaction = this.db.transaction(
+      ["clips", "revisions", "collections"],
+      "readwrite"
+    );
+    const store = transaction.objectStore("clips");
+    const collections = transaction.objectStore("collections");
+    const errors = [];
+    let added = 0;
+
+    if (replace) {
+      store.clear();
+      transaction.objectStore("revisions").clear();
+      collections.clear();
+    }
 
-    // Image modal events
-    document
-      .getElementById("image-modal-cancel")
-      .addEventListener("click", () => this.hideImageModal());
-    document
-      .getElementById("image-modal-save")
-      .addEventListener("click", () => this.saveImageClip());
-    document
-      .getElementById("image-input")
-      .addEventListener("change", (e) => this.previewImage(e));
+    const addClips = (ids) => {
+      clips.forEach(({ index, clip }) => {
+        if (clip.collection) {
+          clip.collectionId = ids.get(clip.collection);
+          delete clip.collection;
+        }
+        const request = store.add(clip);
+        request.onsuccess = () => added++;
+        request.onerror = (event) => {
+          // Keep the transaction alive so one bad clip doesn't undo the rest
+          event.preventDefault();
+          errors.push({ index, message: request.error.message });
+        };
+      });
+    };
 
-    // Search and filter events
-    document
-      .getElementById("search-input")
-      .addEventListener("input", (e) => this.handleSearch(e.target.value));
-    document
-      .getElementById("category-filter")
-      .addEventListener("change", (e) => this.handleFilter(e.target.value));
-    document
-      .getElementById("sort-select")
-      .addEventListener("change", (e) => this.handleSort(e.target.value));
+    return new Promise((resolve, reject) => {
+      // Clips name their collection; missing collections are created first
+      const request = collections.getAll();
+      request.onsuccess = () => {
+        const ids = new Map(
+          request.result.map((collection) => [collection.name, collection.id])
+        );
+        const names = new Set(
+          clips
+            .map(({ clip }) => clip.collection)
+            .filter((name) => name && !ids.has(name))
+        );
+        let pending = names.size;
+        if (pending === 0) addClips(ids);
 
-    // Keyboard shortcuts
-    document.addEventListener("keydown", (e) => this.handleKeyboard(e));
+        names.forEach((name) => {
+          const addRequest = collections.add({
+            name,
+            createdAt: new Date().toISOString(),
+          });
+          addRequest.onsuccess = () => {
+            ids.set(name, addRequest.result);
+            if (--pending === 0) addClips(ids);
+          };
+        });
+      };
 
-    // Close modal on outside click
-    document.getElementById("text-modal").addEventListener("click", (e) => {
-      if (e.target.id === "text-modal") this.hideTextModal();
+      transaction.oncomplete = () => resolve({ added, errors });
+      transaction.onabort = () => reject(transaction.error);
     });
-    document.getElementById("image-modal").addEventListener("click", (e) => {
-      if (e.target.id === "image-modal") this.hideImageModal();
-    });
-
-    // Image preview modal events
-    document
-      .getElementById("close-preview-btn")
-      .addEventListener("click", () => this.hideImagePreview());
-    document
-      .getElementById("image-preview-modal")
-      .addEventListener("click", (e) => {
-        if (e.target.id === "image-preview-modal") this.hideImagePreview();
-      });
-
-    // Drag and drop events
-    this.setupDragAndDrop();
   }
 
-  // Load clips
-  async loadClips() {
-    try {
-      this.clips = await this.db.getAllClips();
-    } catch (error) {
-      console.error("Clip loading error:", error);
-      this.showError("Failed to load data");
-    }
-  }
+  // Delete clip together with its revisions
+  async deleteClip(id) {
+    const transaction = this.db.transaction(
+      ["clips", "revisions"],
+      "readwrite"
+    );
+    const store = transaction.objectStore("clips");
+    const revisions = transaction.objectStore("revisions");
 
-  // Render clips
-  renderClips() {
-    const container = document.getElementById("clips-container");
-    const emptyState = document.getElementById("empty-state");
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onerror = () => reject(request.error);
+      this.deleteRevisionsOf(revisions, id);
 
-    let filteredClips = this.clips;
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
 
-    // Apply search filter
-    if (this.currentSearch) {
-      filteredClips = filteredClips.filter(
-        (clip) =>
-          clip.content
-            .toLowerCase()
-            .includes(this.currentSearch.toLowerCase()) ||
-          (clip.memo &&
-            clip.memo
-              .toLowerCase()
-              .includes(this.currentSearch.toLowerCase())) ||
-          clip.tags.some((tag) =>
-            tag.toLowerCase().includes(this.currentSearch.toLowerCase())
-          )
-      );
-    }
+  // Delete the revisions of a clip inside an open transaction
+  deleteRevisionsOf(revisions, clipId) {
+    const cursorRequest = revisions
+      .index("clipId")
+      .openKeyCursor(IDBKeyRange.only(clipId));
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        revisions.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  }
 
-    // Apply category filter
-    if (this.currentFilter) {
-      filteredClips = filteredClips.filter(
-        (clip) => clip.type === this.currentFilter
-      );
-    }
+  // Get all collections, oldest first
+  async getAllCollections() {
+    const transaction = this.db.transaction(["collections"], "readonly");
+    const store = transaction.objectStore("collections");
 
-    // Apply sorting
-    filteredClips.sort((a, b) => {
-      const dateA = new Date(a.createdAt);
-      const dateB = new Date(b.createdAt);
-      return this.currentSort === "newest" ? dateB - dateA : dateA - dateB;
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
-
-    if (filteredClips.length === 0) {
-      container.innerHTML = "";
-      emptyState.classList.remove("hidden");
-    } else {
-      emptyState.classList.add("hidden");
-      container.innerHTML = "";
-      filteredClips.forEach((clip) => {
-        const clipElement = this.createClipCard(clip);
-        container.appendChild(clipElement);
-      });
-    }
   }
 
-  // Create clip card using DOM methods
-  createClipCard(clip) {
-    const date = new Date(clip.createdAt).toLocaleString("en-US");
+  // Create a collection
+  async saveCollection(name) {
+    const transaction = this.db.transaction(["collections"], "readwrite");
+    const store = transaction.objectStore("collections");
 
-    // Create main card container
-    const card = this.createElement("div", {
-      className:
-        "bg-white dark:bg-apple-gray-800 rounded-xl shadow-sm border border-apple-gray-200 dark:border-apple-gray-700 p-6 hover:shadow-md transition-shadow duration-200 flex flex-col h-full",
+    return new Promise((resolve, reject) => {
+      const request = store.add({ name, createdAt: new Date().toISOString() });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
+  }
 
-    // Create header section
-    const header = this.createCardHeader(clip);
-    card.appendChild(header);
+  // Delete a collection; its clips are deleted too or moved to the default
+  async deleteCollection(id, deleteClips = false) {
+    const transaction = this.db.transaction(
+      ["collections", "clips", "revisions"],
+      "readwrite"
+    );
+    const store = transaction.objectStore("clips");
+    const revisions = transaction.objectStore("revisions");
 
-    // Create content container that will grow to fill space
-    const contentContainer = this.createElement("div", {
-      className: "flex-1 flex flex-col",
-    });
-
-    // Create content section based on type
-    if (clip.type === "text") {
-      const content = this.createTextContent(clip);
-      contentContainer.appendChild(content);
-    } else if (clip.type === "image") {
-      const content = this.createImageContent(clip);
-      contentContainer.appendChild(content);
-    }
+    return new Promise((resolve, reject) => {
+      transaction.objectStore("collections").delete(id);
 
-    // Create memo section if exists
-    if (clip.memo) {
-      const memo = this.createMemoSection(clip.memo);
-      contentContainer.appendChild(memo);
-    }
+      const request = store.index("collectionId").getAll(id);
+      request.onsuccess = () => {
+        request.result.forEach((clip) => {
+          if (deleteClips) {
+            store.delete(clip.id);
+            this.deleteRevisionsOf(revisions, clip.id);
+          } else {
+            store.put({ ...clip, collectionId: null });
+          }
+        });
+      };
 
-    // Create tags section
-    const tags = this.createTagsSection(clip.tags);
-    contentContainer.appendChild(tags);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
 
-    card.appendChild(contentContainer);
+  // Store the manual order of pinned clips in one transaction
+  async reorderPinnedClips(ids) {
+    const transaction = this.db.transaction(["clips"], "readwrite");
+    const store = transaction.objectStore("clips");
 
-    // Create footer section (this will be pushed to bottom)
-    const footer = this.createCardFooter(clip, date);
-    card.appendChild(footer);
+    return new Promise((resolve, reject) => {
+      ids.forEach((id, pinOrder) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) store.put({ ...request.result, pinOrder });
+        };
+      });
 
-    return card;
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
-  // Helper method to create DOM elements
-  createElement(tag, attributes = {}, textContent = "") {
-    const element = document.createElement(tag);
+  // Get every tag with the number of clips using it, from the tags index
+  async getTagCounts() {
+    const transaction = this.db.transaction(["clips"], "readonly");
+    const index = transaction.objectStore("clips").index("tags");
+    const counts = new Map();
 
-    Object.keys(attributes).forEach((key) => {
-      if (key === "className") {
-        element.className = attributes[key];
-      } else if (key === "onclick") {
-        element.onclick = attributes[key];
-      } else {
-        element.setAttribute(key, attributes[key]);
-      }
+    return new Promise((resolve, reject) => {
+      const request = index.openKeyCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+          cursor.continue();
+          return;
+        }
+        resolve(
+          Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) =>
+            a.tag.localeCompare(b.tag)
+          )
+        );
+      };
+      request.onerror = () => reject(request.error);
     });
+  }
 
-    if (textContent) {
-      element.textContent = textContent;
-    }
+  // Replace a tag with another on every clip in one transaction
+  // Renaming to an existing tag merges the two; a null target deletes it
+  async mergeTags(source, target) {
+    const transaction = this.db.transaction(["clips", "settings"], "readwrite");
+    const store = transaction.objectStore("clips");
+    const settings = transaction.objectStore("settings");
 
-    return element;
+    return new Promise((resolve, reject) => {
+      const request = store.index("tags").getAll(source);
+      request.onsuccess = () => {
+        request.result.forEach((clip) => {
+          const tags = clip.tags.map((tag) => (tag === source ? target : tag));
+          store.put({
+            ...clip,
+            tags: Array.from(new Set(tags.filter((tag) => tag))),
+          });
+        });
+      };
+
+      // Carry the colour over to the target unless it already has one
+      const colorRequest = settings.get("tagColors");
+      colorRequest.onsuccess = () => {
+        const colors = colorRequest.result ? colorRequest.result.value : {};
+        if (!(source in colors)) return;
+        if (target && !(target in colors)) colors[target] = colors[source];
+        delete colors[source];
+        settings.put({ key: "tagColors", value: colors });
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
   }
 
-  // Create card header with type indicator and delete button
-  createCardHeader(clip) {
-    const header = this.createElement("div", {
-      className: "flex items-start justify-between mb-3",
+  // Remove a tag from every clip
+  async deleteTag(tag) {
+    return this.mergeTags(tag, null);
+  }
+
+  // Read a setting, falling back to a default value
+  async getSetting(key, defaultValue = null) {
+    const transaction = this.db.transaction(["settings"], "readonly");
+    const store = transaction.objectStore("settings");
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () =>
+        resolve(request.result ? request.result.value : defaultValue);
+      request.onerror = () => reject(request.error);
     });
+  }
 
-    const typeSection = this.createElement("div", {
-      className: "flex items-center space-x-2",
+  // Store a setting
+  async setSetting(key, value) {
+    const transaction = this.db.transaction(["settings"], "readwrite");
+    const store = transaction.objectStore("settings");
+
+    return new Promise((resolve, reject) => {
+      const request = store.put({ key, value });
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
     });
+  }
+}
 
-    // Create type label with MIME type info
-    let typeText = clip.type === "text" ? "Text" : "Image";
-    if (clip.mimeType) {
-      if (clip.type === "text" && clip.filename) {
-        typeText = `Text File (${
-          clip.filename.split(".").pop()?.toUpperCase() || "TXT"
-        })`;
-      } else if (clip.type === "image") {
-        const imageType = clip.mimeType.split("/")[1]?.toUpperCase() || "IMG";
-        typeText = `Image (${imageType})`;
-      }
-    }
+// In-memory inverted index over the searchable fields of every clip
+class SearchIndex {
+  constructor() {
+    // term -> Map(clipId -> weighted term frequency)
+    this.postings = new Map();
+    // clipId -> { signature, terms, text }
+    this.documents = new Map();
+    this.sortedTerms = null;
+  }
 
-    const typeLabel = this.createElement(
-      "span",
-      {
-        className:
-          "text-sm font-medium text-apple-gray-500 dark:text-apple-gray-400",
-      },
-      typeText
-    );
+  // Field weights used when ranking results
+  static get FIELD_WEIGHTS() {
+    return { tags: 3, filename: 2, memo: 1.5, content: 1 };
+  }
 
-    const deleteButton = this.createElement(
-      "button",
-      {
-        className:
-          "text-apple-gray-400 hover:text-red-500 transition-colors duration-200",
-        onclick: () => this.deleteClip(clip.id),
-      },
-      "Delete"
-    );
+  // Runs of characters from scripts written without spaces
+  static get CJK_PATTERN() {
+    return /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+)/u;
+  }
 
-    typeSection.appendChild(typeLabel);
-    header.appendChild(typeSection);
-    header.appendChild(deleteButton);
+  // Normalize text for matching: unify width variants, ignore case and
+  // treat katakana like hiragana so either spelling finds Japanese notes
+  static normalize(text) {
+    return text
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/[\u30a1-\u30f6]/g, (char) =>
+        String.fromCharCode(char.charCodeAt(0) - 0x60)
+      );
+  }
 
-    return header;
+  // Check whether a term comes from a CJK run
+  static isCjk(term) {
+    return SearchIndex.CJK_PATTERN.test(term);
   }
 
-  // Create text content section
-  createTextContent(clip) {
-    const contentSection = this.createElement("div", {
-      className: "mb-4",
+  // Split text into index terms
+  // CJK runs have no word boundaries, so they are indexed as bigrams
+  static tokenize(text) {
+    const terms = [];
+    const words = SearchIndex.normalize(text).match(/[\p{L}\p{N}_]+/gu) || [];
+    const cjk = SearchIndex.CJK_PATTERN;
+
+    words.forEach((word) => {
+      word
+        .split(cjk)
+        .filter((part) => part)
+        .forEach((part) => {
+          if (!cjk.test(part)) {
+            terms.push(part);
+            return;
+          }
+          const chars = Array.from(part);
+          if (chars.length === 1) {
+            terms.push(part);
+            return;
+          }
+          for (let i = 0; i < chars.length - 1; i++) {
+            terms.push(chars[i] + chars[i + 1]);
+          }
+          // The last character lets single-character queries find run endings
+          terms.push(chars[chars.length - 1]);
+        });
     });
 
-    const pre = this.createElement(
-      "pre",
-      {
-        className:
-          "text-sm max-h-48 text-apple-gray-700 dark:text-apple-gray-300 whitespace-pre-wrap font-mono bg-apple-gray-50 dark:bg-apple-gray-700 p-3 rounded-lg break-words overflow-wrap-anywhere overflow-y-auto",
-      },
-      clip.content
-    );
-
-    contentSection.appendChild(pre);
-    return contentSection;
+    return terms;
   }
 
-  // Create image content section
-  createImageContent(clip) {
-    const contentSection = this.createElement("div", {
-      className: "mb-4",
-    });
+  // Parse a search box query into terms, phrases and operator filters
+  // Supports tag:, type:, before:, after:, "exact phrase" and -excluded
+  static parseQuery(query) {
+    const parsed = {
+      terms: [],
+      words: [],
+      phrases: [],
+      excludedWords: [],
+      excludedPhrases: [],
+      tags: [],
+      excludedTags: [],
+      types: [],
+      excludedTypes: [],
+      languages: [],
+      excludedLanguages: [],
+      before: null,
+      after: null,
+    };
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const [, negated, rawOperator, quoted, bare] = match;
+      const operator = rawOperator ? rawOperator.toLowerCase() : "";
+      const value = quoted !== undefined ? quoted : bare || "";
+      if (!value.trim()) continue;
+
+      if (operator === "tag") {
+        (negated ? parsed.excludedTags : parsed.tags).push(
+          SearchIndex.normalize(value.trim())
+        );
+      } else if (operator === "type") {
+        (negated ? parsed.excludedTypes : parsed.types).push(
+          value.toLowerCase()
+        );
+      } else if (operator === "lang") {
+        // Unknown names are kept so they match nothing
+        const language = SyntaxHighlighter.resolve(value);
+        (negated ? parsed.excludedLanguages : parsed.languages).push(
+          language === null ? value.toLowerCase() : language
+        );
+      } else if (operator === "before" || operator === "after") {
+        const date = SearchIndex.parseDate(value);
+        if (date) {
+          // after: starts at the end of the given day
+          parsed[operator] =
+            operator === "after"
+              ? new Date(
+                  date.getFullYear(),
+                  date.getMonth(),
+                  date.getDate() + 1
+                )
+              : date;
+        }
+      } else {
+        // Unknown operators are searched as plain text
+        const text = rawOperator ? `${rawOperator}:${value}` : value;
+        if (quoted !== undefined) {
+          (negated ? parsed.excludedPhrases : parsed.phrases).push(
+            SearchIndex.normalize(text).trim()
+          );
+        } else if (negated) {
+          // Each excluded word is checked on its own
+          const tokens = SearchIndex.tokenize(text);
+          if (tokens.length > 0) parsed.excludedWords.push(tokens);
+        } else {
+          const tokens = SearchIndex.tokenize(text);
+          parsed.terms.push(...tokens);
+          if (tokens.length > 0) parsed.words.push(tokens);
+        }
+      }
+    }
 
-    const img = this.createElement("img", {
-      src: clip.content,
-      alt: "Clip image",
-      className:
-        "w-full h-48 object-cover rounded-lg border border-apple-gray-200 dark:border-apple-gray-600 cursor-pointer hover:opacity-80 transition-opacity duration-200",
-      onclick: () => this.showImagePreview(clip),
-    });
+    return parsed;
+  }
 
-    contentSection.appendChild(img);
-    return contentSection;
+  // Parse a YYYY-MM-DD date as local midnight
+  static parseDate(value) {
+    const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (!match) return null;
+    const date = new Date(+match[1], +match[2] - 1, +match[3]);
+    return isNaN(date) ? null : date;
   }
 
-  // Create memo section
-  createMemoSection(memo) {
-    return this.createElement(
-      "p",
-      {
-        className: "text-sm text-apple-gray-600 dark:text-apple-gray-400 mb-3",
-      },
-      memo
-    );
+  // Collect the searchable fields of a clip
+  // Images are searched by the text recognised in them
+  static getFields(clip) {
+    return {
+      content: clip.type === "text" ? clip.content : clip.ocrText || "",
+      memo: clip.memo || "",
+      tags: clip.tags.join(" "),
+      filename: clip.filename || "",
+    };
   }
 
-  // Create tags section
-  createTagsSection(tags) {
-    const tagsContainer = this.createElement("div", {
-      className: "flex flex-wrap gap-1 mb-3",
+  // Bring the index in line with the current clip list
+  sync(clips) {
+    const ids = new Set();
+    clips.forEach((clip) => {
+      ids.add(clip.id);
+      this.add(clip);
     });
+    Array.from(this.documents.keys())
+      .filter((id) => !ids.has(id))
+      .forEach((id) => this.remove(id));
+  }
 
-    tags.forEach((tag) => {
-      const tagElement = this.createElement(
-        "span",
-        {
-          className:
-            "inline-block px-2 py-1 text-xs bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded-full cursor-pointer hover:bg-blue-200 dark:hover:bg-blue-800 transition-colors",
-        },
-        tag
-      );
-
-      tagElement.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this.searchByTag(tag);
+  // Index a clip, skipping it when its searchable fields are unchanged
+  add(clip) {
+    const fields = SearchIndex.getFields(clip);
+    const signature = JSON.stringify(fields);
+    const existing = this.documents.get(clip.id);
+    if (existing && existing.signature === signature) return;
+    if (existing) this.remove(clip.id);
+
+    const frequencies = new Map();
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = SearchIndex.FIELD_WEIGHTS[field];
+      SearchIndex.tokenize(text).forEach((term) => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
       });
+    });
 
-      tagsContainer.appendChild(tagElement);
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(clip.id, frequency);
     });
 
-    return tagsContainer;
+    this.documents.set(clip.id, {
+      signature,
+      terms: Array.from(frequencies.keys()),
+      text: SearchIndex.normalize(Object.values(fields).join("\n")),
+    });
   }
 
-  // Create card footer with date and action button
-  createCardFooter(clip, date) {
-    const footer = this.createElement("div", {
-      className:
-        "flex items-center justify-between text-xs text-apple-gray-500 dark:text-apple-gray-400",
+  // Remove a clip from the index
+  remove(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return;
+
+    entry.terms.forEach((term) => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
     });
+    this.documents.delete(id);
+  }
 
-    const dateSpan = this.createElement("span", {}, date);
-
-    let actionButton;
-    if (clip.type === "text") {
-      actionButton = this.createElement(
-        "button",
-        {
-          className:
-            "px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 rounded hover:bg-blue-200 dark:hover:bg-blue-800 transition-colors duration-200",
-          onclick: () => this.copyToClipboard(clip.content),
-        },
-        "Copy"
-      );
-    } else if (clip.type === "image") {
-      actionButton = this.createElement(
-        "button",
-        {
-          className:
-            "px-2 py-1 bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300 rounded hover:bg-green-200 dark:hover:bg-green-800 transition-colors duration-200",
-          onclick: () => this.downloadImage(clip.content, `image-${clip.id}`),
-        },
-        "Download"
-      );
+  // Find indexed terms starting with a prefix using binary search
+  findTermsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
     }
 
-    footer.appendChild(dateSpan);
-    if (actionButton) {
-      footer.appendChild(actionButton);
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedTerms[mid] < prefix) low = mid + 1;
+      else high = mid;
     }
 
-    return footer;
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length; i++) {
+      if (!this.sortedTerms[i].startsWith(prefix)) break;
+      terms.push(this.sortedTerms[i]);
+    }
+    return terms;
   }
 
-  // Show text modal
-  async showTextModal() {
-    this.clipboardUsed = false;
+  // Score clips containing a query term; the term may also match as a prefix
+  scoreTerm(term) {
+    const scores = new Map();
+    const total = this.documents.size;
 
-    // Try to read from clipboard
-    try {
-      const clipboardItems = await navigator.clipboard.read();
-      for (const clipboardItem of clipboardItems) {
-        // Check for text content
-        for (const type of clipboardItem.types) {
-          if (type.startsWith("text/")) {
-            const blob = await clipboardItem.getType(type);
-            const text = await blob.text();
-            if (text.trim()) {
-              document.getElementById("text-content").value = text;
-              this.clipboardUsed = true;
-              break;
-            }
-          }
-        }
-      }
-    } catch {
-      // Fallback to readText for browsers that don't support read()
-      try {
-        const text = await navigator.clipboard.readText();
-        if (text.trim()) {
-          document.getElementById("text-content").value = text;
-          this.clipboardUsed = true;
+    this.findTermsWithPrefix(term).forEach((indexed) => {
+      const posting = this.postings.get(indexed);
+      const idf = Math.log(1 + total / posting.size);
+      const boost = indexed === term ? 1 : 0.5;
+
+      posting.forEach((frequency, id) => {
+        // Saturate repeated terms (BM25-style) so long clips don't dominate
+        const score = boost * idf * ((frequency * 2.2) / (frequency + 1.2));
+        scores.set(id, Math.max(scores.get(id) || 0, score));
+      });
+    });
+
+    return scores;
+  }
+
+  // Levenshtein distance with adjacent transpositions, computed on code
+  // points; gives up early and returns Infinity once it exceeds max
+  static editDistance(a, b, max) {
+    const source = Array.from(a);
+    const target = Array.from(b);
+    if (Math.abs(source.length - target.length) > max) return Infinity;
+
+    let previous2 = null;
+    let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= source.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= target.length; j++) {
+        const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+        if (
+          previous2 &&
+          i > 1 &&
+          j > 1 &&
+          source[i - 1] === target[j - 2] &&
+          source[i - 2] === target[j - 1]
+        ) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
         }
-      } catch {
-        console.log("Clipboard access not available");
+        rowMin = Math.min(rowMin, current[j]);
       }
+      if (rowMin > max) return Infinity;
+      previous2 = previous;
+      previous = current;
     }
 
-    document.getElementById("text-modal").classList.remove("hidden");
-    document.getElementById("text-content").focus();
+    const distance = previous[target.length];
+    return distance > max ? Infinity : distance;
   }
 
-  // Hide text modal
-  hideTextModal() {
-    document.getElementById("text-modal").classList.add("hidden");
-    document.getElementById("text-content").value = "";
-    document.getElementById("text-tags").value = "";
-    document.getElementById("text-memo").value = "";
-    this.clipboardUsed = false;
+  // Check whether the characters of a query appear in order in a term
+  static isSubsequence(query, term) {
+    const chars = Array.from(term);
+    let position = 0;
+    for (const char of query) {
+      position = chars.indexOf(char, position);
+      if (position === -1) return false;
+      position++;
+    }
+    return true;
+  }
+
+  // Rate how well an indexed term matches a query term, from 0 to 1
+  static fuzzyScore(query, term) {
+    if (term === query) return 1;
+
+    const queryLength = Array.from(query).length;
+    const termLength = Array.from(term).length;
+    if (term.startsWith(query)) return 0.8 + (0.1 * queryLength) / termLength;
+
+    // Allow more typos in longer words
+    const allowed = queryLength <= 3 ? 0 : queryLength <= 6 ? 1 : 2;
+    if (allowed > 0) {
+      // Compare with the whole term and with its start, for typos made
+      // while still typing a longer word
+      const distance = Math.min(
+        SearchIndex.editDistance(query, term, allowed),
+        SearchIndex.editDistance(
+          query,
+          Array.from(term).slice(0, queryLength).join(""),
+          allowed
+        ) + 0.5
+      );
+      if (distance !== Infinity) {
+        return 0.75 * (1 - distance / (queryLength + 1));
+      }
+    }
+
+    if (queryLength >= 3 && SearchIndex.isSubsequence(query, term)) {
+      return 0.2 + (0.4 * queryLength) / termLength;
+    }
+
+    return 0;
+  }
+
+  // Score clips by the closest indexed terms to a query term
+  scoreFuzzyTerm(term) {
+    const scores = new Map();
+    const matched = [];
+
+    this.postings.forEach((posting, indexed) => {
+      if (SearchIndex.isCjk(indexed)) return;
+
+      const quality = SearchIndex.fuzzyScore(term, indexed);
+      if (quality === 0) return;
+      matched.push(indexed);
+
+      posting.forEach((frequency, id) => {
+        // Match quality decides the order, the field weight breaks ties
+        const score = quality + 0.05 * Math.log(1 + frequency);
+        scores.set(id, Math.max(scores.get(id) || 0, score));
+      });
+    });
+
+    return { scores, matched };
+  }
+
+  // Score clips by the share of a CJK word's bigrams they contain, so a
+  // single wrong character still leaves most of the word matching
+  scoreCjkWord(tokens) {
+    const bigrams = tokens.filter((token) => Array.from(token).length > 1);
+    if (bigrams.length === 0) {
+      return { scores: this.scoreTerm(tokens[0]), matched: tokens };
+    }
+
+    const counts = new Map();
+    const matched = [];
+    bigrams.forEach((bigram) => {
+      const posting = this.postings.get(bigram);
+      if (!posting) return;
+      matched.push(bigram);
+      posting.forEach((_, id) => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+
+    const scores = new Map();
+    counts.forEach((count, id) => {
+      const quality = count / bigrams.length;
+      if (quality >= 0.5) scores.set(id, quality);
+    });
+    return { scores, matched };
+  }
+
+  // Check whether a clip contains every token of a word exactly
+  containsTerms(id, terms) {
+    return terms.every((term) => {
+      const posting = this.postings.get(term);
+      return posting && posting.has(id);
+    });
+  }
+
+  // Check whether the operator filters accept a clip
+  matchesFilters(clip, parsed) {
+    const tags = clip.tags.map((tag) => SearchIndex.normalize(tag.trim()));
+    const createdAt = new Date(clip.createdAt);
+    // Images have no language, so lang: filters never match them
+    const language = clip.type === "text" ? clip.language || "" : null;
+
+    return (
+      parsed.tags.every((tag) => tags.includes(tag)) &&
+      !parsed.excludedTags.some((tag) => tags.includes(tag)) &&
+      (parsed.types.length === 0 || parsed.types.includes(clip.type)) &&
+      !parsed.excludedTypes.includes(clip.type) &&
+      (parsed.languages.length === 0 || parsed.languages.includes(language)) &&
+      !parsed.excludedLanguages.includes(language) &&
+      (!parsed.before || createdAt < parsed.before) &&
+      (!parsed.after || createdAt >= parsed.after)
+    );
+  }
+
+  // Search clips with a query string
+  // Returns the matching clips, ranked when the query contains text
+  // Fuzzy mode tolerates typos and ranks by match quality instead
+  search(query, clips, { fuzzy = false } = {}) {
+    const parsed = SearchIndex.parseQuery(query);
+    const hasText = parsed.terms.length > 0 || parsed.phrases.length > 0;
+    let highlights = [...parsed.terms, ...parsed.phrases];
+    let scores = null;
+
+    let scoreMaps = parsed.terms.map((term) => this.scoreTerm(term));
+    if (fuzzy) {
+      const matches = [];
+      parsed.words.forEach((tokens) => {
+        tokens
+          .filter((token) => !SearchIndex.isCjk(token))
+          .forEach((token) => matches.push(this.scoreFuzzyTerm(token)));
+        const cjkTokens = tokens.filter((token) => SearchIndex.isCjk(token));
+        if (cjkTokens.length > 0) matches.push(this.scoreCjkWord(cjkTokens));
+      });
+      scoreMaps = matches.map((match) => match.scores);
+      highlights = [
+        ...matches.flatMap((match) => match.matched.slice(0, 20)),
+        ...parsed.phrases,
+      ];
+    }
+
+    // Every query term must match (AND), scores add up
+    scoreMaps.forEach((termScores) => {
+      if (scores === null) {
+        scores = termScores;
+        return;
+      }
+      const combined = new Map();
+      scores.forEach((score, id) => {
+        if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+      });
+      scores = combined;
+    });
+
+    const results = [];
+    clips.forEach((clip) => {
+      const entry = this.documents.get(clip.id);
+      if (!entry) return;
+      if (scores && !scores.has(clip.id)) return;
+      if (!this.matchesFilters(clip, parsed)) return;
+      if (!parsed.phrases.every((phrase) => entry.text.includes(phrase))) {
+        return;
+      }
+      if (
+        parsed.excludedPhrases.some((phrase) => entry.text.includes(phrase))
+      ) {
+        return;
+      }
+      if (
+        parsed.excludedWords.some((tokens) =>
+          this.containsTerms(clip.id, tokens)
+        )
+      ) {
+        return;
+      }
+
+      const score = (scores ? scores.get(clip.id) : 0) + parsed.phrases.length;
+      results.push({ clip, score });
+    });
+
+    if (hasText) {
+      results.sort((a, b) => b.score - a.score);
+    }
+
+    return {
+      clips: results.map((result) => result.clip),
+      ranked: hasText,
+      highlights,
+    };
+  }
+}
+
+// Comment and string syntax shared by the C family of languages
+const C_LIKE_SYNTAX = {
+  comments: ["//"],
+  blockComment: ["/*", "*/"],
+  strings: ['"', "'"],
+};
+
+// Languages the highlighter knows; detect patterns each add one point
+// when they match
+const HIGHLIGHT_LANGUAGES = {
+  javascript: {
+    ...C_LIKE_SYNTAX,
+    name: "JavaScript",
+    aliases: ["js", "jsx", "mjs", "cjs", "node"],
+    extensions: ["js", "jsx", "mjs", "cjs"],
+    strings: ['"', "'", "`"],
+    keywords:
+      "async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch throw try typeof var void while yield",
+    literals: "true false null undefined NaN Infinity this",
+    detect: [
+      /\b(const|let|var)\s+[\w$]+\s*=/,
+      /=>/,
+      /\bfunction\s*[\w$]*\s*\(/,
+      /\bconsole\.\w+\(/,
+      /\brequire\(["']/,
+      /^\s*import\s.+\sfrom\s+["']/m,
+      /\bdocument\.\w+/,
+      /===|!==/,
+    ],
+  },
+  typescript: {
+    ...C_LIKE_SYNTAX,
+    name: "TypeScript",
+    aliases: ["ts", "tsx"],
+    extensions: ["ts", "tsx", "mts", "cts"],
+    strings: ['"', "'", "`"],
+    keywords:
+      "abstract as async await break case catch class const continue declare default delete do else enum export extends finally for from function if implements import in instanceof interface keyof let namespace new of private protected public readonly return static super switch throw try type typeof var void while yield",
+    literals:
+      "true false null undefined NaN Infinity this any boolean never number string unknown",
+    detect: [
+      /:\s*(string|number|boolean|any|void|unknown)\b/,
+      /^\s*(export\s+)?interface\s+\w+/m,
+      /^\s*(export\s+)?type\s+\w+\s*=/m,
+      /\b(private|public|readonly)\s+\w+\s*:/,
+      /<\w+(\[\])?>\(/,
+      /\bas\s+(const|string|number|unknown)\b/,
+    ],
+  },
+  python: {
+    name: "Python",
+    aliases: ["py", "python3"],
+    extensions: ["py", "pyw"],
+    comments: ["#"],
+    strings: ['"""', "'''", '"', "'"],
+    keywords:
+      "and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield",
+    literals: "True False None self",
+    detect: [
+      /^\s*def\s+\w+\(.*\)\s*(->\s*[\w\[\], ]+)?:\s*$/m,
+      /^\s*(from\s+[\w.]+\s+)?import\s+[\w.]+(\s+as\s+\w+)?\s*$/m,
+      /^\s*class\s+\w+(\(.*\))?:\s*$/m,
+      /^\s*(if|elif|for|while|with)\b.*:\s*$/m,
+      /\bself\.\w+/,
+      /\bprint\(/,
+      /\b(None|True|False)\b/,
+    ],
+  },
+  java: {
+    ...C_LIKE_SYNTAX,
+    name: "Java",
+    extensions: ["java"],
+    keywords:
+      "abstract boolean break byte case catch char class continue default do double else enum extends final finally float for if implements import instanceof int interface long new package private protected public return short static super switch synchronized this throw throws try void volatile while var",
+    literals: "true false null",
+    detect: [
+      /\bpublic\s+(static\s+)?(final\s+)?(class|void|int|String)\b/,
+      /\bSystem\.out\.print/,
+      /^\s*package\s+[\w.]+;/m,
+      /^\s*import\s+[\w.]+(\.\*)?;/m,
+      /\bString\[\]\s+\w+/,
+      /@Override\b/,
+    ],
+  },
+  c: {
+    ...C_LIKE_SYNTAX,
+    name: "C",
+    aliases: ["h"],
+    extensions: ["c", "h"],
+    keywords:
+      "auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while",
+    literals: "NULL true false",
+    detect: [
+      /^\s*#include\s*<\w+\.h>/m,
+      /\bint\s+main\s*\(/,
+      /\bprintf\s*\(/,
+      /\bmalloc\s*\(/,
+      /^\s*#define\s+\w+/m,
+      /\bstruct\s+\w+\s*\{/,
+    ],
+  },
+  cpp: {
+    ...C_LIKE_SYNTAX,
+    name: "C++",
+    aliases: ["c++", "cxx", "hpp"],
+    extensions: ["cpp", "cc", "cxx", "hpp", "hh", "hxx"],
+    keywords:
+      "auto bool break case catch char class const constexpr continue default delete do double else enum explicit extern float for friend if inline int long namespace new noexcept operator private protected public return short signed sizeof static struct switch template this throw try typedef typename union unsigned using virtual void volatile while",
+    literals: "true false nullptr NULL",
+    detect: [
+      /^\s*#include\s*<\w+>/m,
+      /\bstd::\w+/,
+      /\busing\s+namespace\s+\w+;/,
+      /\bcout\s*<</,
+      /\btemplate\s*</,
+      /\w+::\w+\(/,
+    ],
+  },
+  csharp: {
+    ...C_LIKE_SYNTAX,
+    name: "C#",
+    aliases: ["cs", "c#"],
+    extensions: ["cs"],
+    keywords:
+      "abstract as async await base bool break case catch class const continue decimal default delegate do double else enum event explicit extern finally float for foreach get if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly ref return sealed set short static string struct switch this throw try typeof uint ulong using var virtual void while",
+    literals: "true false null",
+    detect: [
+      /^\s*using\s+System(\.\w+)*;/m,
+      /\bnamespace\s+[\w.]+/,
+      /\bConsole\.Write(Line)?\(/,
+      /\bpublic\s+(async\s+)?(static\s+)?(void|Task|string|int)\s+\w+\s*\(/,
+      /\{\s*get;\s*(set;\s*)?\}/,
+      /\bforeach\s*\(\s*var\b/,
+    ],
+  },
+  go: {
+    ...C_LIKE_SYNTAX,
+    name: "Go",
+    aliases: ["golang"],
+    extensions: ["go"],
+    strings: ['"', "'", "`"],
+    keywords:
+      "break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var",
+    literals: "true false nil iota",
+    detect: [
+      /^\s*package\s+\w+\s*$/m,
+      /^\s*func\s+(\(\w+\s+\*?\w+\)\s+)?\w+\(/m,
+      /:=/,
+      /\bfmt\.\w+\(/,
+      /\berr\s*!=\s*nil\b/,
+      /^\s*import\s+\(/m,
+    ],
+  },
+  rust: {
+    ...C_LIKE_SYNTAX,
+    name: "Rust",
+    aliases: ["rs"],
+    extensions: ["rs"],
+    strings: ['"'],
+    keywords:
+      "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while",
+    literals: "true false None Some Ok Err",
+    detect: [
+      /^\s*(pub\s+)?fn\s+\w+/m,
+      /\blet\s+mut\s+\w+/,
+      /\bprintln!\(/,
+      /^\s*use\s+[\w:]+(::\{[^}]*\})?;/m,
+      /\bimpl(<[^>]*>)?\s+\w+/,
+      /&mut\s+\w+|&'\w+/,
+      /->\s*(Result|Option|Self|String|i32|u\d+)\b/,
+    ],
+  },
+  php: {
+    ...C_LIKE_SYNTAX,
+    name: "PHP",
+    extensions: ["php"],
+    comments: ["//", "#"],
+    keywords:
+      "abstract array as break case catch class const continue declare default do echo else elseif empty endforeach endif extends final finally fn for foreach function global if implements include isset list namespace new print private protected public require require_once return static switch throw trait try unset use var while",
+    literals: "true false null TRUE FALSE NULL",
+    detect: [
+      /<\?php/,
+      /\$\w+\s*=/,
+      /\becho\s+/,
+      /->\w+\(/,
+      /\bfunction\s+\w+\s*\(\s*\$/,
+    ],
+  },
+  ruby: {
+    name: "Ruby",
+    aliases: ["rb"],
+    extensions: ["rb", "rake", "gemspec"],
+    comments: ["#"],
+    strings: ['"', "'"],
+    keywords:
+      "alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor attr_reader puts",
+    literals: "true false nil",
+    detect: [
+      /^\s*def\s+\w+[?!]?(\(.*\))?\s*$/m,
+      /^\s*end\s*$/m,
+      /\bputs\s+/,
+      /^\s*require\s+['"]/m,
+      /\bdo\s*\|\w+(,\s*\w+)*\|/,
+      /\battr_(accessor|reader|writer)\b/,
+    ],
+  },
+  shell: {
+    name: "Shell",
+    aliases: ["sh", "bash", "zsh", "console"],
+    extensions: ["sh", "bash", "zsh"],
+    comments: ["#"],
+    strings: ['"', "'"],
+    keywords:
+      "case do done echo elif else esac exit export fi for function if in local read return set shift source then unset until while cd sudo",
+    literals: "true false",
+    detect: [
+      /^#!\/(usr\/)?bin\/(env\s+)?(ba|z)?sh\b/m,
+      /^\s*\$\s+\w+/m,
+      /\b(sudo|apt(-get)?|brew|npm|yarn|pip|git|docker|kubectl)\s+[a-z-]+/,
+      /^\s*(if|while)\s+\[\[?\s/m,
+      /\$\{?\w+\}?/,
+      /^\s*export\s+\w+=/m,
+      /\s--?[a-z][\w-]*/,
+    ],
+  },
+  sql: {
+    name: "SQL",
+    extensions: ["sql"],
+    comments: ["--"],
+    blockComment: ["/*", "*/"],
+    strings: ["'", '"'],
+    ignoreCase: true,
+    keywords:
+      "add alter and as asc begin between by case commit create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right rollback select set table then union unique update values view when where with",
+    literals: "true false",
+    detect: [
+      /\bselect\s+[\w*,\s.]+?\bfrom\s+\w+/i,
+      /\binsert\s+into\s+\w+/i,
+      /\bupdate\s+\w+\s+set\s+/i,
+      /\bcreate\s+(table|index|view)\b/i,
+      /\b(inner|left|right)\s+join\b/i,
+      /\bwhere\s+[\w.]+\s*(=|<|>|\blike\b|\bin\b)/i,
+    ],
+  },
+  json: {
+    name: "JSON",
+    extensions: ["json", "jsonc", "geojson"],
+    strings: ['"'],
+    keywords: "",
+    literals: "true false null",
+    rules: [[/"(?:\\.|[^"\\\n])*"(?=\s*:)/, "property"]],
+    detect: [],
+  },
+  html: {
+    name: "HTML",
+    aliases: ["xml", "svg", "xhtml"],
+    extensions: ["html", "htm", "xml", "svg", "xhtml", "vue"],
+    strings: [],
+    keywords: "",
+    literals: "",
+    numbers: false,
+    words: false,
+    rules: [
+      [/<!--[\s\S]*?(?:-->|(?![\s\S]))/, "comment"],
+      [/<!DOCTYPE[^>]*>/i, "keyword"],
+      [/<\/?[A-Za-z][\w:.-]*/, "tag"],
+      [/\/?>/, "tag"],
+      [/[A-Za-z_:][\w:.-]*(?=\s*=\s*["'])/, "attr"],
+      [/(?:"[^"\n]*"|'[^'\n]*')(?=[\s/>])/, "string"],
+      [/&[#\w]+;/, "literal"],
+    ],
+    detect: [],
+  },
+  css: {
+    name: "CSS",
+    aliases: ["scss", "less"],
+    extensions: ["css", "scss", "less"],
+    blockComment: ["/*", "*/"],
+    strings: ['"', "'"],
+    keywords: "important",
+    literals: "",
+    words: false,
+    rules: [
+      [/@[\w-]+/, "keyword"],
+      [/#[\da-fA-F]{3,8}\b/, "number"],
+      [/-?[a-z][\w-]*(?=\s*:[^:{;]*[;}])/, "property"],
+      [/-?\d+(?:\.\d+)?(?:%|[a-z]+)?\b/, "number"],
+    ],
+    detect: [
+      /^[ \t]*[.#]?[\w-][^{};\n]*\{[ \t]*$/m,
+      /^\s*[a-z-]+\s*:\s*[^;{]+;\s*$/m,
+      /@media\b|@import\b|@keyframes\b/,
+      /\b\d+(px|em|rem|vh|vw)\b/,
+      /#[\da-fA-F]{3,6}\b/,
+    ],
+  },
+  markdown: {
+    name: "Markdown",
+    aliases: ["md"],
+    extensions: ["md", "markdown", "mdx"],
+    strings: [],
+    keywords: "",
+    literals: "",
+    numbers: false,
+    words: false,
+    rules: [
+      [/^ {0,3}```[\s\S]*?(?:^ {0,3}```.*$|(?![\s\S]))/m, "string"],
+      [/^ {0,3}#{1,6}\s.*$/m, "keyword"],
+      [/`[^`\n]+`/, "string"],
+      [/!?\[[^\]\n]*\]\([^)\n]*\)/, "function"],
+      [/\*\*[^*\n]+\*\*|__[^_\n]+__/, "literal"],
+      [/^[ \t]*(?:[-*+]|\d+[.)])(?=\s)/m, "property"],
+      [/^ {0,3}>.*$/m, "comment"],
+    ],
+    // Only chosen by filename, MIME type or by hand; notes often look
+    // like Markdown without meaning to be rendered
+    detect: [],
+  },
+  yaml: {
+    name: "YAML",
+    aliases: ["yml"],
+    extensions: ["yaml", "yml"],
+    comments: ["#"],
+    strings: ['"', "'"],
+    keywords: "",
+    literals: "true false null yes no on off ~",
+    rules: [[/^[ \t]*(?:- +)?[\w.-]+(?=\s*:(?:\s|$))/m, "property"]],
+    detect: [
+      /^---\s*$/m,
+      /^[\w.-]+:\s*$/m,
+      /^\s+-\s+[\w.-]+:\s/m,
+      /^\s*[\w.-]+:\s+[^{};,]+$/m,
+    ],
+  },
+};
+
+// Tailwind classes for each highlighted token type, in light and dark mode
+const HIGHLIGHT_TOKEN_CLASSES = {
+  keyword: "text-purple-700 dark:text-purple-300",
+  literal: "text-orange-700 dark:text-orange-300",
+  number: "text-orange-700 dark:text-orange-300",
+  string: "text-green-700 dark:text-green-300",
+  comment: "italic text-apple-gray-400 dark:text-apple-gray-500",
+  function: "text-blue-700 dark:text-blue-300",
+  property: "text-cyan-700 dark:text-cyan-300",
+  tag: "text-red-700 dark:text-red-300",
+  attr: "text-yellow-700 dark:text-yellow-200",
+};
+
+// Language detection and token colouring for code in text clips
+class SyntaxHighlighter {
+  // Supported languages; detect patterns each add one point when they match
+  static get LANGUAGES() {
+    return HIGHLIGHT_LANGUAGES;
+  }
+
+  // Tailwind classes for each token type, in light and dark mode
+  static get TOKEN_CLASSES() {
+    return HIGHLIGHT_TOKEN_CLASSES;
+  }
+
+  // Find a language id by id, alias, name or file extension
+  // "plain" and "text" stand for clips without a language
+  static resolve(value) {
+    const key = String(value).trim().toLowerCase();
+    if (["plain", "plaintext", "text", "txt", "none"].includes(key)) return "";
+
+    const languages = SyntaxHighlighter.LANGUAGES;
+    if (languages[key]) return key;
+    const match = Object.entries(languages).find(
+      ([, language]) =>
+        language.name.toLowerCase() === key ||
+        (language.aliases || []).includes(key) ||
+        language.extensions.includes(key)
+    );
+    return match ? match[0] : null;
+  }
+
+  // Language for a filename, by its extension
+  static fromFilename(filename) {
+    const extension = filename.includes(".")
+      ? filename.split(".").pop().toLowerCase()
+      : "";
+    const match = Object.entries(SyntaxHighlighter.LANGUAGES).find(
+      ([, language]) => language.extensions.includes(extension)
+    );
+    return match ? match[0] : null;
+  }
+
+  // Language for a MIME type such as text/markdown or text/x-python
+  static fromMimeType(mimeType) {
+    const subtype = (mimeType.split("/")[1] || "")
+      .replace(/^x-/, "")
+      .split(/[+;]/)[0];
+    return subtype ? SyntaxHighlighter.resolve(subtype) || null : null;
+  }
+
+  // Guess the language of a text, or null when it looks like plain text
+  // The filename extension, then the MIME type win when they name a
+  // known language
+  static detect(text, filename = "", mimeType = "") {
+    if (filename) {
+      const language = SyntaxHighlighter.fromFilename(filename);
+      if (language) return language;
+    }
+    if (mimeType) {
+      const language = SyntaxHighlighter.fromMimeType(mimeType);
+      if (language) return language;
+    }
+
+    const trimmed = text.trim();
+    if (/^[{[]/.test(trimmed)) {
+      try {
+        JSON.parse(trimmed);
+        return "json";
+      } catch {
+        // Not JSON, keep guessing
+      }
+    }
+    if (/^<\?php/.test(trimmed)) return "php";
+    const shebang = trimmed.match(/^#!.*\b(python|node|ruby|bash|sh|zsh)\d*\b/);
+    if (shebang) {
+      return SyntaxHighlighter.resolve(shebang[1]);
+    }
+    if (
+      /^\s*</.test(trimmed) &&
+      (trimmed.match(/<\/?[A-Za-z][\w:-]*(\s[^>]*)?\/?>/g) || []).length >= 2
+    ) {
+      return "html";
+    }
+
+    // Score the remaining languages; plain prose rarely matches twice
+    let best = null;
+    let bestScore = 1;
+    Object.entries(SyntaxHighlighter.LANGUAGES).forEach(([id, language]) => {
+      const score = language.detect.filter((pattern) =>
+        pattern.test(trimmed)
+      ).length;
+      if (score > bestScore) {
+        best = id;
+        bestScore = score;
+      }
+    });
+
+    // TypeScript is a superset, so prefer it once its own syntax shows up
+    if (best === "javascript") {
+      const typescript = SyntaxHighlighter.LANGUAGES.typescript.detect.filter(
+        (pattern) => pattern.test(trimmed)
+      ).length;
+      if (typescript > 0) best = "typescript";
+    }
+    return best;
+  }
+
+  // Escape a string for use in a regular expression
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Build the token rules of a language as [pattern, type] pairs
+  static getRules(language) {
+    const escape = SyntaxHighlighter.escape;
+    // End of the whole text; "$" would stop at line ends in multiline mode
+    const END = "(?![\\s\\S])";
+    const rules = [...(language.rules || [])];
+
+    if (language.blockComment) {
+      const [start, end] = language.blockComment.map(escape);
+      rules.push([
+        new RegExp(`${start}[\\s\\S]*?(?:${end}|${END})`),
+        "comment",
+      ]);
+    }
+    (language.comments || []).forEach((marker) => {
+      rules.push([new RegExp(`${escape(marker)}.*`), "comment"]);
+    });
+    language.strings.forEach((quote) => {
+      const q = escape(quote);
+      // Triple quotes and template strings may span lines
+      const body =
+        quote.length === 3
+          ? `[\\s\\S]*?(?:${q}|${END})`
+          : quote === "`"
+          ? `(?:\\\\[\\s\\S]|[^\`\\\\])*\`?`
+          : `(?:\\\\.|[^${q}\\\\\\n])*${q}?`;
+      rules.push([new RegExp(`${q}${body}`), "string"]);
+    });
+    if (language.numbers !== false) {
+      rules.push([
+        /\b(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/,
+        "number",
+      ]);
+    }
+    if (language.words !== false) {
+      rules.push([/[A-Za-z_$][\w$]*[?!]?/, "word"]);
+    }
+    return rules;
+  }
+
+  // Split text into [{ text, type }] tokens; type is null for plain text
+  static tokenize(text, languageId) {
+    const language = SyntaxHighlighter.LANGUAGES[languageId];
+    if (!language) return [{ text, type: null }];
+
+    // Each rule is searched with its own flags; multiline is always on so
+    // ^ and $ work per line
+    const rules = SyntaxHighlighter.getRules(language);
+    const patterns = rules.map(
+      ([rule]) =>
+        new RegExp(rule.source, `${rule.flags.replace(/[gmy]/g, "")}gm`)
+    );
+    const fold = (word) => (language.ignoreCase ? word.toLowerCase() : word);
+    const keywords = new Set(language.keywords.split(" ").map(fold));
+    const literals = new Set(language.literals.split(" ").map(fold));
+
+    const tokens = [];
+    const push = (value, type) => {
+      const last = tokens[tokens.length - 1];
+      if (last && last.type === type) {
+        last.text += value;
+      } else {
+        tokens.push({ text: value, type });
+      }
+    };
+
+    // Next non-empty match of a rule at or after a position, or null
+    const find = (pattern, position) => {
+      pattern.lastIndex = position;
+      let match = pattern.exec(text);
+      while (match && !match[0]) {
+        pattern.lastIndex = match.index + 1;
+        match = pattern.exec(text);
+      }
+      return match;
+    };
+
+    // The earliest match wins and, at the same position, the rule listed
+    // first. Matches that start past the current position stay valid
+    const matches = patterns.map((pattern) => find(pattern, 0));
+    let lastIndex = 0;
+    const nextRule = () => {
+      let best = -1;
+      matches.forEach((match, i) => {
+        if (match && match.index < lastIndex) {
+          matches[i] = match = find(patterns[i], lastIndex);
+        }
+        if (match && (best === -1 || match.index < matches[best].index)) {
+          best = i;
+        }
+      });
+      return best;
+    };
+
+    let best;
+    while ((best = nextRule()) !== -1) {
+      const match = matches[best];
+      const end = match.index + match[0].length;
+      if (match.index > lastIndex) {
+        push(text.slice(lastIndex, match.index), null);
+      }
+
+      let type = rules[best][1];
+      if (type === "word") {
+        const word = fold(match[0]);
+        const next = text.slice(end).match(/^\s*\(/);
+        type = keywords.has(word)
+          ? "keyword"
+          : literals.has(word)
+          ? "literal"
+          : next
+          ? "function"
+          : null;
+      }
+      push(match[0], type);
+      lastIndex = end;
+    }
+    if (lastIndex < text.length) push(text.slice(lastIndex), null);
+
+    return tokens;
+  }
+}
+
+// Markdown renderer for text clips
+// Elements are built with the DOM API and HTML in the source is never
+// parsed, so clipboard content can't inject markup or scripts
+class MarkdownRenderer {
+  // appendText and appendTokens let the caller mark search matches
+  constructor({ appendText, appendTokens } = {}) {
+    this.appendText =
+      appendText ||
+      ((element, text) => element.appendChild(document.createTextNode(text)));
+    this.appendTokens =
+      appendTokens ||
+      ((element, tokens) =>
+        this.appendText(element, tokens.map((token) => token.text).join("")));
+  }
+
+  // Tailwind classes for the rendered elements
+  static get CLASSES() {
+    return {
+      h1: "text-xl font-bold mt-4 mb-2 first:mt-0",
+      h2: "text-lg font-bold mt-4 mb-2 first:mt-0",
+      h3: "text-base font-semibold mt-3 mb-1 first:mt-0",
+      h4: "text-sm font-semibold mt-3 mb-1 first:mt-0",
+      h5: "text-sm font-semibold mt-3 mb-1 first:mt-0",
+      h6: "text-sm font-semibold mt-3 mb-1 first:mt-0",
+      p: "my-2 first:mt-0 last:mb-0",
+      ul: "list-disc pl-5 my-2 first:mt-0 last:mb-0",
+      ol: "list-decimal pl-5 my-2 first:mt-0 last:mb-0",
+      li: "my-0.5",
+      blockquote:
+        "border-l-4 border-apple-gray-300 dark:border-apple-gray-500 pl-3 my-2 text-apple-gray-500 dark:text-apple-gray-400",
+      pre: "my-2 p-2 rounded bg-white dark:bg-apple-gray-800 overflow-x-auto font-mono text-xs whitespace-pre",
+      code: "px-1 rounded bg-white dark:bg-apple-gray-800 font-mono text-xs",
+      table: "my-2 border-collapse text-xs",
+      th: "border border-apple-gray-300 dark:border-apple-gray-600 px-2 py-1 font-semibold",
+      td: "border border-apple-gray-300 dark:border-apple-gray-600 px-2 py-1",
+      a: "text-blue-600 dark:text-blue-400 underline break-all",
+      hr: "my-3 border-apple-gray-300 dark:border-apple-gray-600",
+    };
+  }
+
+  // Only these links are clickable; javascript:, data: and the like are not
+  static isSafeUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url.trim());
+  }
+
+  // Render Markdown source into a new element
+  render(source) {
+    const container = document.createElement("div");
+    this.renderBlocks(source.replace(/\r\n?/g, "\n").split("\n"), container);
+    return container;
+  }
+
+  // Create an element with the class for its tag
+  element(tag) {
+    const element = document.createElement(tag);
+    const className = MarkdownRenderer.CLASSES[tag];
+    if (className) element.className = className;
+    return element;
+  }
+
+  // Render block level elements from a list of lines
+  renderBlocks(lines, parent) {
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code block, highlighted when it names a language
+      const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+      if (fence) {
+        const code = [];
+        i++;
+        while (
+          i < lines.length &&
+          !(
+            lines[i].trim().startsWith(fence[1]) &&
+            !lines[i].trim().slice(fence[1].length).trim()
+          )
+        ) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++;
+
+        const pre = this.element("pre");
+        const codeElement = document.createElement("code");
+        const text = code.join("\n");
+        const language = fence[2] ? SyntaxHighlighter.resolve(fence[2]) : null;
+        if (language) {
+          this.appendTokens(
+            codeElement,
+            SyntaxHighlighter.tokenize(text, language)
+          );
+        } else {
+          this.appendText(codeElement, text);
+        }
+        pre.appendChild(codeElement);
+        parent.appendChild(pre);
+        continue;
+      }
+
+      const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+      if (heading) {
+        const element = this.element(`h${heading[1].length}`);
+        this.renderInline(heading[2], element);
+        parent.appendChild(element);
+        i++;
+        continue;
+      }
+
+      if (/^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line)) {
+        parent.appendChild(this.element("hr"));
+        i++;
+        continue;
+      }
+
+      if (/^ {0,3}>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^ {0,3}> ?/, ""));
+          i++;
+        }
+        const blockquote = this.element("blockquote");
+        this.renderBlocks(quoted, blockquote);
+        parent.appendChild(blockquote);
+        continue;
+      }
+
+      if (this.isTableStart(lines, i)) {
+        i = this.renderTable(lines, i, parent);
+        continue;
+      }
+
+      if (MarkdownRenderer.LIST_ITEM.test(line)) {
+        i = this.renderList(lines, i, parent);
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or another block starts
+      const paragraph = [line.trim()];
+      i++;
+      while (
+        i < lines.length &&
+        lines[i].trim() &&
+        !this.startsBlock(lines, i)
+      ) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      const element = this.element("p");
+      paragraph.forEach((text, index) => {
+        if (index > 0) {
+          // Two trailing spaces or a backslash force a line break
+          if (/( {2,}|\\)$/.test(lines[i - paragraph.length + index - 1])) {
+            element.appendChild(document.createElement("br"));
+          } else {
+            element.appendChild(document.createTextNode(" "));
+          }
+        }
+        this.renderInline(text.replace(/\\$/, ""), element);
+      });
+      parent.appendChild(element);
+    }
+  }
+
+  // List item marker: bullet or number, with its indentation
+  static get LIST_ITEM() {
+    return /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  }
+
+  // Check whether a line interrupts a paragraph
+  startsBlock(lines, i) {
+    const line = lines[i];
+    return (
+      /^\s*(`{3,}|~{3,})/.test(line) ||
+      /^ {0,3}#{1,6}\s/.test(line) ||
+      /^ {0,3}>/.test(line) ||
+      /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/.test(line) ||
+      MarkdownRenderer.LIST_ITEM.test(line) ||
+      this.isTableStart(lines, i)
+    );
+  }
+
+  // Render a bulleted or numbered list; nested lists are indented further
+  // Returns the index of the first line after the list
+  renderList(lines, start, parent) {
+    const first = lines[start].match(MarkdownRenderer.LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = this.element(ordered ? "ol" : "ul");
+    if (ordered && parseInt(first[2], 10) !== 1) {
+      list.setAttribute("start", parseInt(first[2], 10));
+    }
+
+    let i = start;
+    while (i < lines.length) {
+      const match = lines[i].match(MarkdownRenderer.LIST_ITEM);
+      if (
+        !match ||
+        match[1].length !== indent ||
+        /\d/.test(match[2]) !== ordered
+      ) {
+        break;
+      }
+
+      // The item continues on blank and more deeply indented lines
+      const itemLines = [match[3]];
+      i++;
+      while (i < lines.length) {
+        const next = lines[i];
+        const nextIndent = next.match(/^\s*/)[0].length;
+        if (next.trim() && nextIndent <= indent) break;
+        if (!next.trim()) {
+          const following = lines.slice(i).find((other) => other.trim());
+          if (!following || following.match(/^\s*/)[0].length <= indent) {
+            break;
+          }
+        }
+        itemLines.push(next.slice(Math.min(nextIndent, indent + 2)));
+        i++;
+      }
+
+      const item = this.element("li");
+      const task = itemLines[0].match(/^\[( |x|X)\]\s+(.*)$/);
+      if (task) {
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = task[1] !== " ";
+        checkbox.disabled = true;
+        checkbox.className = "mr-1 align-middle";
+        item.classList.add("list-none", "-ml-5");
+        item.appendChild(checkbox);
+        itemLines[0] = task[2];
+      }
+
+      // Tight items keep their text inline instead of in a paragraph
+      if (itemLines.length === 1) {
+        this.renderInline(itemLines[0], item);
+      } else {
+        this.renderBlocks(itemLines, item);
+        if (item.firstElementChild && item.firstElementChild.tagName === "P") {
+          item.firstElementChild.className = "";
+        }
+      }
+      list.appendChild(item);
+
+      while (i < lines.length && !lines[i].trim()) {
+        const following = lines.slice(i).find((other) => other.trim());
+        if (!following || !MarkdownRenderer.LIST_ITEM.test(following)) break;
+        i++;
+      }
+    }
+
+    parent.appendChild(list);
+    return i;
+  }
+
+  // Split a table row into trimmed cells
+  // Escaped pipes (\|) stay inside their cell
+  static splitRow(line) {
+    return line
+      .trim()
+      .replace(/\\\|/g, "\u0000")
+      .replace(/^\|/, "")
+      .replace(/\|$/, "")
+      .split("|")
+      .map((cell) => cell.trim().replace(/\u0000/g, "|"));
+  }
+
+  // A table is a row with pipes followed by a delimiter row
+  isTableStart(lines, i) {
+    return (
+      i + 1 < lines.length &&
+      lines[i].includes("|") &&
+      /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) &&
+      lines[i + 1].includes("-")
+    );
+  }
+
+  // Render a pipe table; returns the index of the first line after it
+  renderTable(lines, start, parent) {
+    const headers = MarkdownRenderer.splitRow(lines[start]);
+    const alignments = MarkdownRenderer.splitRow(lines[start + 1]).map((cell) =>
+      cell.startsWith(":") && cell.endsWith(":")
+        ? "text-center"
+        : cell.endsWith(":")
+        ? "text-right"
+        : "text-left"
+    );
+
+    const wrapper = this.element("div");
+    wrapper.className = "overflow-x-auto";
+    const table = this.element("table");
+    const head = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    headers.forEach((text, index) => {
+      const cell = this.element("th");
+      cell.classList.add(alignments[index] || "text-left");
+      this.renderInline(text, cell);
+      headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+    table.appendChild(head);
+
+    const body = document.createElement("tbody");
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+      const row = document.createElement("tr");
+      const cells = MarkdownRenderer.splitRow(lines[i]);
+      headers.forEach((_, index) => {
+        const cell = this.element("td");
+        cell.classList.add(alignments[index] || "text-left");
+        this.renderInline(cells[index] || "", cell);
+        row.appendChild(cell);
+      });
+      body.appendChild(row);
+      i++;
+    }
+    table.appendChild(body);
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+    return i;
+  }
+
+  // Render inline Markdown: code, links, emphasis and escapes
+  // Link text is rendered with links off, as links can't be nested
+  renderInline(text, parent, { links = true } = {}) {
+    const pattern =
+      /(`+)([\s\S]*?[^`])\1(?!`)|!?\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))*)>?(?:\s+"[^"]*")?\s*\)|<((?:https?:\/\/|mailto:)[^>\s]+)>|\b(https?:\/\/[^\s<]*[^\s<.,:;"')\]])|\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__(?!\w)|\*(?=[^\s*])([\s\S]*?[^\s*])\*|_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)|~~(?=\S)([\s\S]*?\S)~~|\\([!-/:-@[-`{-~])/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        this.appendText(parent, text.slice(lastIndex, match.index));
+      }
+      lastIndex = pattern.lastIndex;
+
+      const [
+        whole,
+        ,
+        code,
+        label,
+        href,
+        autolink,
+        bareUrl,
+        strong,
+        strongUnderscore,
+        emphasis,
+        emphasisUnderscore,
+        strike,
+        escaped,
+      ] = match;
+
+      // Underscores inside words, as in snake_case, aren't emphasis
+      const inWord =
+        whole.startsWith("_") && /\w/.test(text.charAt(match.index - 1));
+
+      if (inWord) {
+        this.appendText(parent, whole);
+      } else if (code !== undefined) {
+        const element = this.element("code");
+        this.appendText(element, code.replace(/^ (.*) $/, "$1"));
+        parent.appendChild(element);
+      } else if (label !== undefined) {
+        // Images are shown as links so clips never load remote content
+        const image = whole.startsWith("!");
+        if (!links) {
+          this.renderInline(label, parent, { links });
+        } else if (image) {
+          this.appendLink(parent, href, label || href, false);
+        } else {
+          this.appendLink(parent, href, label);
+        }
+      } else if (autolink || bareUrl) {
+        const url = autolink || bareUrl;
+        if (links) {
+          this.appendLink(parent, url, url, false);
+        } else {
+          this.appendText(parent, url);
+        }
+      } else if (strong !== undefined || strongUnderscore !== undefined) {
+        const element = document.createElement("strong");
+        this.renderInline(strong || strongUnderscore, element, { links });
+        parent.appendChild(element);
+      } else if (emphasis !== undefined || emphasisUnderscore !== undefined) {
+        const element = document.createElement("em");
+        this.renderInline(emphasis || emphasisUnderscore, element, { links });
+        parent.appendChild(element);
+      } else if (strike !== undefined) {
+        const element = document.createElement("del");
+        this.renderInline(strike, element, { links });
+        parent.appendChild(element);
+      } else if (escaped !== undefined) {
+        this.appendText(parent, escaped);
+      }
+    }
+
+    if (lastIndex < text.length) {
+      this.appendText(parent, text.slice(lastIndex));
+    }
+  }
+
+  // Append a link, or just its text when the URL isn't safe to open
+  // Pass formatted = false to show the text without inline Markdown
+  appendLink(parent, href, text, formatted = true) {
+    let target = parent;
+    if (MarkdownRenderer.isSafeUrl(href)) {
+      target = this.element("a");
+      target.href = href;
+      target.target = "_blank";
+      target.rel = "noopener noreferrer";
+      parent.appendChild(target);
+    }
+
+    if (formatted) {
+      this.renderInline(text, target, { links: false });
+    } else {
+      this.appendText(target, text);
+    }
+  }
+}
+
+// Renders HTML copied from web pages or word processors. The markup is
+// parsed into an inert document and only whitelisted tags and attributes
+// are rebuilt, so scripts, event handlers and styles never reach the page
+class HtmlSanitizer {
+  // appendText lets the caller mark search matches
+  constructor({ appendText } = {}) {
+    this.appendText =
+      appendText ||
+      ((element, text) => element.appendChild(document.createTextNode(text)));
+  }
+
+  // Elements that are kept; any other element is replaced by its content
+  static get ALLOWED_TAGS() {
+    return new Set(
+      `p br hr div span h1 h2 h3 h4 h5 h6 b strong i em u s del ins mark small
+       sub sup code kbd pre blockquote ul ol li dl dt dd table caption thead
+       tbody tfoot tr th td`.split(/\s+/)
+    );
+  }
+
+  // Elements that are dropped together with their content
+  static get DROPPED_TAGS() {
+    return new Set(
+      `script style template noscript head title meta link base iframe frame
+       frameset object embed applet svg math canvas audio video picture source
+       form input button select textarea`.split(/\s+/)
+    );
+  }
+
+  // Render an HTML string into a new element
+  render(html) {
+    const parsed = new DOMParser().parseFromString(html, "text/html");
+    const container = document.createElement("div");
+    this.appendChildren(parsed.body, container);
+    return container;
+  }
+
+  // Copy the allowed children of a parsed node into parent
+  appendChildren(source, parent) {
+    source.childNodes.forEach((node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.textContent) this.appendText(parent, node.textContent);
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toLowerCase();
+      if (HtmlSanitizer.DROPPED_TAGS.has(tag)) return;
+
+      // Images are shown as links, like in Markdown clips
+      if (tag === "img") {
+        const alt = node.getAttribute("alt") || "image";
+        const src = node.getAttribute("src") || "";
+        if (MarkdownRenderer.isSafeUrl(src)) {
+          const link = this.createLink(src);
+          this.appendText(link, alt);
+          parent.appendChild(link);
+        } else if (node.getAttribute("alt")) {
+          this.appendText(parent, alt);
+        }
+        return;
+      }
+
+      let element = null;
+      if (tag === "a") {
+        const href = node.getAttribute("href") || "";
+        if (MarkdownRenderer.isSafeUrl(href)) element = this.createLink(href);
+      } else if (HtmlSanitizer.ALLOWED_TAGS.has(tag)) {
+        element = this.createElement(tag, node);
+      }
+
+      if (element) {
+        this.appendChildren(node, element);
+        parent.appendChild(element);
+      } else {
+        this.appendChildren(node, parent);
+      }
+    });
+  }
+
+  // Create a clean element, keeping only the harmless layout attributes
+  createElement(tag, source) {
+    const element = document.createElement(tag);
+    const className = MarkdownRenderer.CLASSES[tag];
+    if (className) element.className = className;
+
+    ["colspan", "rowspan", "start"].forEach((name) => {
+      const value = source.getAttribute(name);
+      if (value && /^\d{1,3}$/.test(value)) element.setAttribute(name, value);
+    });
+    return element;
+  }
+
+  // Create a link that opens in a new tab
+  createLink(href) {
+    const link = document.createElement("a");
+    link.className = MarkdownRenderer.CLASSES.a;
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+    return link;
+  }
+}
+
+// Crops, resizes, rotates and annotates an image on a canvas. Every change
+// is drawn into the canvas right away and undo restores earlier copies.
+// Shapes being dragged are previewed on an overlay canvas on top of it
+class ImageEditor {
+  // onChange is called whenever the image or its size changes
+  constructor(canvas, { overlay, onChange } = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.overlay = overlay;
+    this.overlayContext = overlay.getContext("2d");
+    this.onChange = onChange || (() => {});
+    this.tool = "rect";
+    this.color = "#ef4444";
+    this.lineWidth = 4;
+    this.history = [];
+    this.drag = null;
+
+    canvas.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    canvas.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    canvas.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    canvas.addEventListener("pointercancel", () => this.cancelDrag());
+  }
+
+  // Pixels kept in undo copies, about 200 MB; the oldest copies are
+  // dropped first, but the last change can always be undone
+  static get UNDO_PIXELS() {
+    return 50000000;
+  }
+
+  // Smallest pixelation block in image pixels, whatever the zoom
+  static get PIXELATE_BLOCK() {
+    return 12;
+  }
+
+  // Start editing a decoded image
+  load(image) {
+    this.canvas.width = image.naturalWidth;
+    this.canvas.height = image.naturalHeight;
+    this.context.drawImage(image, 0, 0);
+    this.history = [];
+    this.drag = null;
+    this.onChange();
+  }
+
+  get canUndo() {
+    return this.history.length > 0;
+  }
+
+  // Copy of the current image
+  snapshot() {
+    const copy = document.createElement("canvas");
+    copy.width = this.canvas.width;
+    copy.height = this.canvas.height;
+    copy.getContext("2d").drawImage(this.canvas, 0, 0);
+    return copy;
+  }
+
+  // Keep a copy of the image from before a change for undo
+  remember(copy) {
+    this.history.push(copy);
+    const pixels = (copies) =>
+      copies.reduce((sum, { width, height }) => sum + width * height, 0);
+    while (
+      this.history.length > 1 &&
+      pixels(this.history) > ImageEditor.UNDO_PIXELS
+    ) {
+      this.history.shift();
+    }
+  }
+
+  // Show a copy again, taking over its size
+  restore(copy) {
+    this.canvas.width = copy.width;
+    this.canvas.height = copy.height;
+    this.context.drawImage(copy, 0, 0);
+  }
+
+  undo() {
+    if (!this.canUndo) return;
+    this.restore(this.history.pop());
+    this.onChange();
+  }
+
+  // Rotate by a quarter turn; direction is 1 for clockwise, -1 for the
+  // other way
+  rotate(direction) {
+    const source = this.snapshot();
+    this.remember(source);
+    this.canvas.width = source.height;
+    this.canvas.height = source.width;
+    this.context.translate(this.canvas.width / 2, this.canvas.height / 2);
+    this.context.rotate((direction * Math.PI) / 2);
+    this.context.drawImage(source, -source.width / 2, -source.height / 2);
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.onChange();
+  }
+
+  // Scale the image to a new size in pixels
+  resize(width, height) {
+    const source = this.snapshot();
+    this.remember(source);
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context.imageSmoothingQuality = "high";
+    this.context.drawImage(source, 0, 0, width, height);
+    this.onChange();
+  }
+
+  // Encode the edited image; resolves with null if the browser can't
+  toBlob(type, quality) {
+    return new Promise((resolve) => this.canvas.toBlob(resolve, type, quality));
+  }
+
+  // Image pixels per screen pixel, so lines look the same at any zoom
+  getScale() {
+    const { width } = this.canvas.getBoundingClientRect();
+    return width ? this.canvas.width / width : 1;
+  }
+
+  // Position of a pointer event in image pixels
+  getPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * this.canvas.width) / rect.width,
+      y: ((event.clientY - rect.top) * this.canvas.height) / rect.height,
+    };
+  }
+
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+    event.preventDefault();
+
+    const point = this.getPoint(event);
+    if (this.tool === "text") {
+      this.addText(point);
+      return;
+    }
+    this.canvas.setPointerCapture(event.pointerId);
+    this.drag = { start: point, end: point, points: [point] };
+
+    // The overlay only gets a new backing store when the image size changed
+    if (
+      this.overlay.width !== this.canvas.width ||
+      this.overlay.height !== this.canvas.height
+    ) {
+      this.overlay.width = this.canvas.width;
+      this.overlay.height = this.canvas.height;
+    }
+  }
+
+  // Redraw the shape being dragged on the overlay; the image stays as it is
+  handlePointerMove(event) {
+    if (!this.drag) return;
+    this.drag.end = this.getPoint(event);
+    this.drag.points.push(this.drag.end);
+    this.clearOverlay();
+    this.draw(this.drag, this.overlayContext);
+  }
+
+  handlePointerUp(event) {
+    if (!this.drag) return;
+    const drag = this.drag;
+    this.drag = null;
+    drag.end = this.getPoint(event);
+    this.clearOverlay();
+
+    // A click without dragging doesn't change anything
+    const moved =
+      Math.abs(drag.end.x - drag.start.x) >= 2 ||
+      Math.abs(drag.end.y - drag.start.y) >= 2;
+    if (!moved && this.tool !== "pen") return;
+
+    this.remember(this.snapshot());
+    this.draw(drag, this.context);
+    this.onChange();
+  }
+
+  cancelDrag() {
+    if (!this.drag) return;
+    this.clearOverlay();
+    this.drag = null;
+  }
+
+  clearOverlay() {
+    this.overlayContext.clearRect(
+      0,
+      0,
+      this.overlay.width,
+      this.overlay.height
+    );
+  }
+
+  // Draw the current tool's shape for a drag; drawing on the overlay
+  // context previews it while the pointer is still down
+  draw(drag, context) {
+    const preview = context !== this.context;
+    const { start, end } = drag;
+    const rect = {
+      x: Math.min(start.x, end.x),
+      y: Math.min(start.y, end.y),
+      width: Math.abs(end.x - start.x),
+      height: Math.abs(end.y - start.y),
+    };
+    const lineWidth = this.lineWidth * this.getScale();
+    context.strokeStyle = this.color;
+    context.fillStyle = this.color;
+    context.lineWidth = lineWidth;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+
+    switch (this.tool) {
+      case "crop":
+        if (preview) {
+          this.drawCropArea(rect, context);
+        } else {
+          this.crop(rect);
+        }
+        break;
+      case "rect":
+        context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        break;
+      case "arrow":
+        this.drawArrow(start, end, lineWidth, context);
+        break;
+      case "pen":
+        context.beginPath();
+        context.moveTo(start.x, start.y);
+        drag.points.forEach((point) => context.lineTo(point.x, point.y));
+        context.stroke();
+        break;
+      case "pixelate":
+        // Averaging is only worth doing once, when the pointer is released
+        if (preview) {
+          context.globalAlpha = 0.35;
+          context.fillRect(rect.x, rect.y, rect.width, rect.height);
+          context.globalAlpha = 1;
+          context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        } else {
+          this.pixelate(rect);
+        }
+        break;
+    }
+  }
+
+  // Dim everything outside the area a crop keeps
+  drawCropArea(rect, context) {
+    const { width, height } = this.canvas;
+    context.fillStyle = "rgba(0, 0, 0, 0.5)";
+    context.fillRect(0, 0, width, rect.y);
+    context.fillRect(0, rect.y + rect.height, width, height);
+    context.fillRect(0, rect.y, rect.x, rect.height);
+    context.fillRect(rect.x + rect.width, rect.y, width, rect.height);
+    context.setLineDash([6 * this.getScale()]);
+    context.strokeStyle = "#ffffff";
+    context.lineWidth = this.getScale();
+    context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    context.setLineDash([]);
+  }
+
+  // Keep only the given area of the image
+  crop(rect) {
+    const x = Math.max(0, Math.round(rect.x));
+    const y = Math.max(0, Math.round(rect.y));
+    const width =
+      Math.min(this.canvas.width, Math.round(rect.x + rect.width)) - x;
+    const height =
+      Math.min(this.canvas.height, Math.round(rect.y + rect.height)) - y;
+    if (width < 1 || height < 1) return;
+
+    const source = this.snapshot();
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context.drawImage(source, x, y, width, height, 0, 0, width, height);
+  }
+
+  // Draw a line with a filled arrowhead at its end
+  drawArrow(start, end, lineWidth, context) {
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const head = lineWidth * 4;
+
+    // Stop the line inside the head so its round cap doesn't show at the tip
+    context.beginPath();
+    context.moveTo(start.x, start.y);
+    context.lineTo(
+      end.x - head * 0.8 * Math.cos(angle),
+      end.y - head * 0.8 * Math.sin(angle)
+    );
+    context.stroke();
+
+    context.beginPath();
+    context.moveTo(end.x, end.y);
+    [-1, 1].forEach((side) => {
+      context.lineTo(
+        end.x - head * Math.cos(angle + (side * Math.PI) / 6),
+        end.y - head * Math.sin(angle + (side * Math.PI) / 6)
+      );
+    });
+    context.closePath();
+    context.fill();
+  }
+
+  // Replace an area with blocks of the average colour of their pixels, so
+  // the original text can't be read back from it
+  pixelate(rect) {
+    const x = Math.max(0, Math.floor(rect.x));
+    const y = Math.max(0, Math.floor(rect.y));
+    const width = Math.min(this.canvas.width - x, Math.ceil(rect.width));
+    const height = Math.min(this.canvas.height - y, Math.ceil(rect.height));
+    if (width < 1 || height < 1) return;
+
+    const block = Math.max(
+      ImageEditor.PIXELATE_BLOCK,
+      Math.round(12 * this.getScale())
+    );
+    const image = this.context.getImageData(x, y, width, height);
+    const { data } = image;
+
+    for (let top = 0; top < height; top += block) {
+      const bottom = Math.min(top + block, height);
+      for (let left = 0; left < width; left += block) {
+        const right = Math.min(left + block, width);
+        const sum = [0, 0, 0, 0];
+        for (let row = top; row < bottom; row++) {
+          for (let col = left; col < right; col++) {
+            const i = (row * width + col) * 4;
+            for (let channel = 0; channel < 4; channel++) {
+              sum[channel] += data[i + channel];
+            }
+          }
+        }
+
+        const count = (bottom - top) * (right - left);
+        const average = sum.map((total) => Math.round(total / count));
+        for (let row = top; row < bottom; row++) {
+          for (let col = left; col < right; col++) {
+            data.set(average, (row * width + col) * 4);
+          }
+        }
+      }
+    }
+    this.context.putImageData(image, x, y);
+  }
+
+  // Ask for a label and draw it with its top left corner at point
+  addText(point) {
+    const text = prompt("Label text:");
+    if (!text || !text.trim()) return;
+
+    this.remember(this.snapshot());
+    const context = this.context;
+    const size = Math.round((this.lineWidth * 3 + 10) * this.getScale());
+    context.font = `bold ${size}px system-ui, sans-serif`;
+    context.textBaseline = "top";
+    // A white outline keeps the label readable on any background
+    context.lineJoin = "round";
+    context.lineWidth = size / 5;
+    context.strokeStyle = "#ffffff";
+    context.strokeText(text.trim(), point.x, point.y);
+    context.fillStyle = this.color;
+    context.fillText(text.trim(), point.x, point.y);
+    this.onChange();
+  }
+}
+
+// Reads text in images with Tesseract.js running in its own Web Worker.
+// Pages opened from file:// can't start workers from files or fetch them,
+// so the engine's files are loaded as scripts and handed to the worker as
+// blob URLs; nothing goes over the network
+class OcrEngine {
+  constructor(basePath = OCR_PATH) {
+    this.basePath = basePath;
+    this.available = null;
+    this.worker = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Load the engine scripts once; resolves with false when they're missing
+  isAvailable() {
+    if (!this.available) {
+      this.available = OCR_SCRIPTS.reduce(
+        (loaded, name) =>
+          loaded.then((ok) => ok && this.loadScript(this.basePath + name)),
+        Promise.resolve(true)
+      ).then((ok) => ok && Boolean(window.Tesseract));
+    }
+    return this.available;
+  }
+
+  // Add a script to the page; resolves with whether it loaded
+  loadScript(src) {
+    return new Promise((resolve) => {
+      const script = document.createElement("script");
+      script.src = src;
+      script.onload = () => resolve(true);
+      script.onerror = () => resolve(false);
+      document.head.appendChild(script);
+    });
+  }
+
+  // Start the worker with the bundled core and language data
+  getWorker() {
+    if (!this.worker) {
+      const files = window.PastecaseOcrFiles;
+      const script = (name) =>
+        URL.createObjectURL(
+          new Blob([files[name]], { type: "text/javascript" })
+        );
+      const core = "tesseract-core-lstm.wasm.js";
+      const language = `${OCR_LANGUAGE}.traineddata.gz`;
+
+      // Tesseract.js adds file names to these paths; after a # they are
+      // ignored when the blob is loaded
+      this.worker = window.Tesseract.createWorker(OCR_LANGUAGE, 1, {
+        workerPath: script("worker.min.js"),
+        corePath: `${script(core)}#${core}`,
+        langPath: `${URL.createObjectURL(dataUrlToBlob(files[language]))}#`,
+        workerBlobURL: false,
+        cacheMethod: "none",
+      });
+      // The strings aren't needed once they are blobs
+      delete window.PastecaseOcrFiles;
+
+      // A worker that fails to start means the bundle is incomplete
+      this.worker.catch(() => {
+        this.available = Promise.resolve(false);
+      });
+    }
+    return this.worker;
+  }
+
+  // Recognise the text in an image Blob; jobs run one at a time
+  recognize(blob) {
+    const job = this.queue.then(async () => {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(blob);
+      return data.text.trim();
+    });
+    this.queue = job.catch(() => {});
+    return job;
+  }
+}
+
+// Tag field with removable chips and autocomplete suggestions
+class TagInput {
+  constructor(inputId, getSuggestions) {
+    this.input = document.getElementById(inputId);
+    this.chips = document.getElementById(`${inputId}-chips`);
+    this.suggestions = document.getElementById(`${inputId}-suggestions`);
+    this.getSuggestions = getSuggestions;
+    this.tags = [];
+    this.matches = [];
+    this.activeIndex = -1;
+
+    this.input.addEventListener("input", () => this.handleInput());
+    this.input.addEventListener("keydown", (e) => this.handleKeydown(e));
+    this.input.addEventListener("blur", () => {
+      // Let a click on a suggestion land before the list closes
+      setTimeout(() => {
+        this.commit();
+        this.hideSuggestions();
+      }, 150);
+    });
+  }
+
+  // Replace all tags
+  setTags(tags) {
+    this.tags = [...tags];
+    this.input.value = "";
+    this.renderChips();
+  }
+
+  // Get the tags, including text still being typed
+  getTags() {
+    this.commit();
+    return [...this.tags];
+  }
+
+  // Remove all tags
+  clear() {
+    this.setTags([]);
+    this.hideSuggestions();
+  }
+
+  // Add a tag unless it is empty or already present
+  addTag(value) {
+    const tag = normalizeTag(value);
+    if (tag && !this.tags.includes(tag)) {
+      this.tags.push(tag);
+      this.renderChips();
+    }
+  }
+
+  // Remove a tag by position
+  removeTag(index) {
+    this.tags.splice(index, 1);
+    this.renderChips();
+  }
+
+  // Turn the typed text into tags; commas separate several tags
+  commit() {
+    if (!this.input.value.trim()) return;
+    this.input.value.split(",").forEach((value) => this.addTag(value));
+    this.input.value = "";
+  }
+
+  // Handle typing in the tag field
+  handleInput() {
+    if (this.input.value.includes(",")) {
+      const parts = this.input.value.split(",");
+      this.input.value = parts.pop();
+      parts.forEach((value) => this.addTag(value));
+    }
+    this.showSuggestions();
+  }
+
+  // Handle keys for chips and suggestion navigation
+  handleKeydown(event) {
+    const open = !this.suggestions.classList.contains("hidden");
+
+    if (event.key === "ArrowDown" && open) {
+      event.preventDefault();
+      this.setActive((this.activeIndex + 1) % this.matches.length);
+    } else if (event.key === "ArrowUp" && open) {
+      event.preventDefault();
+      this.setActive(
+        (this.activeIndex - 1 + this.matches.length) % this.matches.length
+      );
+    } else if (event.key === "Enter" || (event.key === "Tab" && open)) {
+      if (open && this.activeIndex >= 0) {
+        event.preventDefault();
+        this.selectSuggestion(this.matches[this.activeIndex]);
+      } else if (this.input.value.trim()) {
+        event.preventDefault();
+        this.commit();
+        this.hideSuggestions();
+      }
+    } else if (event.key === "Escape" && open) {
+      // Close the list without closing the whole modal
+      event.stopPropagation();
+      this.hideSuggestions();
+    } else if (
+      event.key === "Backspace" &&
+      !this.input.value &&
+      this.tags.length > 0
+    ) {
+      this.removeTag(this.tags.length - 1);
+    }
+  }
+
+  // Show existing tags that match the typed text
+  showSuggestions() {
+    const query = normalizeTag(this.input.value);
+    this.matches = this.getSuggestions()
+      .filter((tag) => !this.tags.includes(tag))
+      .filter((tag) => !query || tag.includes(query))
+      // Tags starting with the typed text come first
+      .sort(
+        (a, b) => (b.startsWith(query) ? 1 : 0) - (a.startsWith(query) ? 1 : 0)
+      )
+      .slice(0, 8);
+    this.activeIndex = query && this.matches.length > 0 ? 0 : -1;
+
+    this.suggestions.innerHTML = "";
+    if (!query || this.matches.length === 0) {
+      this.hideSuggestions();
+      return;
+    }
+
+    this.matches.forEach((tag, index) => {
+      const option = document.createElement("li");
+      option.className =
+        "px-3 py-1.5 text-sm cursor-pointer text-apple-gray-700 dark:text-apple-gray-200";
+      option.textContent = tag;
+      option.setAttribute("role", "option");
+      option.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        this.selectSuggestion(tag);
+      });
+      option.addEventListener("mouseenter", () => this.setActive(index));
+      this.suggestions.appendChild(option);
+    });
+    this.setActive(this.activeIndex);
+    this.suggestions.classList.remove("hidden");
+  }
+
+  // Hide the suggestion list
+  hideSuggestions() {
+    this.suggestions.classList.add("hidden");
+    this.activeIndex = -1;
+  }
+
+  // Highlight a suggestion
+  setActive(index) {
+    this.activeIndex = index;
+    Array.from(this.suggestions.children).forEach((option, i) => {
+      const active = i === index;
+      option.classList.toggle("bg-blue-100", active);
+      option.classList.toggle("dark:bg-blue-900", active);
+      option.setAttribute("aria-selected", String(active));
+    });
+  }
+
+  // Use a suggestion as the next tag
+  selectSuggestion(tag) {
+    this.input.value = "";
+    this.addTag(tag);
+    this.hideSuggestions();
+    this.input.focus();
+  }
+
+  // Render the chips before the text input
+  renderChips() {
+    this.chips.innerHTML = "";
+    this.tags.forEach((tag, index) => {
+      const chip = document.createElement("span");
+      chip.className =
+        "inline-flex items-center gap-1 pl-2 pr-1 py-0.5 text-xs bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 rounded-full";
+      chip.textContent = tag;
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className =
+        "w-4 h-4 leading-none rounded-full hover:bg-blue-200 dark:hover:bg-blue-800";
+      remove.textContent = "×";
+      remove.setAttribute("aria-label", `Remove tag ${tag}`);
+      remove.addEventListener("click", () => {
+        this.removeTag(index);
+        this.input.focus();
+      });
+
+      chip.appendChild(remove);
+      this.chips.appendChild(chip);
+    });
+  }
+}
+
+class PastecaseApp {
+  constructor() {
+    this.db = new PastecaseDB();
+    this.searchIndex = new SearchIndex();
+    this.clips = [];
+    this.currentSort = "newest";
+    this.currentFilter = "";
+    this.currentSearch = "";
+    this.tagFilter = [];
+    this.tagFilterMode = "all";
+    this.searchHighlight = null;
+    this.fuzzySearch = false;
+    this.tagCounts = [];
+    this.tagColors = {};
+    this.collections = [];
+    this.currentCollection = "all";
+    this.deletingCollection = null;
+    this.autoCapture = { ...DEFAULT_AUTO_CAPTURE };
+    this.sourceView = new Set();
+    this.templateClip = null;
+    this.templateBuiltins = {};
+    this.transformClip = null;
+    this.transformSteps = [];
+    this.transformChains = [];
+    this.convertClip = null;
+    this.convertRun = 0;
+    this.editorClip = null;
+    this.ocr = new OcrEngine();
+    this.keyBindings = {};
+    this.draftBindings = null;
+    this.recordingCommand = null;
+    this.paletteItems = [];
+    this.paletteIndex = 0;
+    this.dialogStack = [];
+    this.recognizing = false;
+    this.recognizeAgain = false;
+    this.imageConversion = { ...DEFAULT_IMAGE_CONVERSION };
+    this.markdownRenderer = new MarkdownRenderer({
+      appendText: (element, text) => this.appendHighlightedText(element, text),
+      appendTokens: (element, tokens) =>
+        this.appendHighlightedTokens(element, tokens),
+    });
+    this.htmlSanitizer = new HtmlSanitizer({
+      appendText: (element, text) => this.appendHighlightedText(element, text),
+    });
+    this.lastCaptureKey = null;
+    this.capturing = false;
+    this.duplicateResolve = null;
+    this.duplicateGroups = [];
+    this.editingTag = null;
+    this.clipboardUsed = false;
+    this.clipboardImageUsed = false;
+    this.pastedHtml = null;
+    this.editingClip = null;
+    this.draggedClipId = null;
+    this.historyClip = null;
+    this.historyVersions = [];
+    this.historyUrls = [];
+    this.objectUrls = [];
+    this.previewUrl = null;
+    this.lazyImages = new WeakMap();
+    this.thumbnailObserver = new IntersectionObserver(
+      (entries) => this.loadVisibleThumbnails(entries),
+      { rootMargin: "200px" }
+    );
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await this.db.init();
+      await this.loadClips();
+      this.autoCapture = {
+        ...DEFAULT_AUTO_CAPTURE,
+        ...(await this.db.getSetting("autoCapture", {})),
+      };
+      this.transformChains = await this.db.getSetting("transformChains", []);
+      this.imageConversion = {
+        ...DEFAULT_IMAGE_CONVERSION,
+        ...(await this.db.getSetting("imageConversion", {})),
+      };
+      this.keyBindings = await this.db.getSetting("keyBindings", {});
+      this.bindEvents();
+      this.renderClips();
+      await this.generateMissingThumbnails();
+      await this.generateMissingHashes();
+      await this.generateMissingLanguages();
+      await this.captureClipboard();
+    } catch (error) {
+      console.error("Initialization error:", error);
+      this.showError("Failed to initialize the application");
+    }
+  }
+
+  // Bind events
+  bindEvents() {
+    // Tag fields with autocomplete
+    this.textTagInput = new TagInput("text-tags", () =>
+      this.getTagSuggestions()
+    );
+    this.imageTagInput = new TagInput("image-tags", () =>
+      this.getTagSuggestions()
+    );
+    this.fileTagInput = new TagInput("file-tags", () =>
+      this.getTagSuggestions()
+    );
+
+    // Modal related events
+    document
+      .getElementById("add-text-btn")
+      .addEventListener("click", () => this.showTextModal());
+    document
+      .getElementById("add-image-btn")
+      .addEventListener("click", () => this.showImageModal());
+    document
+      .getElementById("add-file-btn")
+      .addEventListener("click", () => this.showFileModal());
+
+    // Text modal events
+    document
+      .getElementById("text-modal-cancel")
+      .addEventListener("click", () => this.hideTextModal());
+    document
+      .getElementById("text-modal-save")
+      .addEventListener("click", () => this.saveTextClip());
+
+    // Image modal events
+    document
+      .getElementById("image-modal-cancel")
+      .addEventListener("click", () => this.hideImageModal());
+    document
+      .getElementById("image-modal-save")
+      .addEventListener("click", () => this.saveImageClip());
+    document
+      .getElementById("image-input")
+      .addEventListener("change", (e) => this.previewImage(e));
+
+    // File modal events
+    document
+      .getElementById("file-modal-cancel")
+      .addEventListener("click", () => this.hideFileModal());
+    document
+      .getElementById("file-modal-save")
+      .addEventListener("click", () => this.saveFileClip());
+    document
+      .getElementById("file-input")
+      .addEventListener("change", (e) => this.showFileInfo(e.target.files[0]));
+
+    // Search and filter events
+    document
+      .getElementById("search-input")
+      .addEventListener("input", (e) => this.handleSearch(e.target.value));
+    document
+      .getElementById("fuzzy-toggle")
+      .addEventListener("change", (e) =>
+        this.handleFuzzyToggle(e.target.checked)
+      );
+    document
+      .getElementById("category-filter")
+      .addEventListener("change", (e) => this.handleFilter(e.target.value));
+    document
+      .getElementById("sort-select")
+      .addEventListener("change", (e) => this.handleSort(e.target.value));
+
+    // Keyboard shortcuts
+    document.addEventListener("keydown", (e) => this.handleKeyboard(e));
+    document
+      .getElementById("clips-container")
+      .addEventListener("keydown", (e) => this.handleCardKeydown(e));
+    document
+      .getElementById("shortcut-reset")
+      .addEventListener("click", () => this.resetKeyBindings());
+
+    // Command palette events
+    document
+      .getElementById("palette-input")
+      .addEventListener("input", () => this.updateCommandPalette());
+    document
+      .getElementById("palette-input")
+      .addEventListener("keydown", (e) => this.handlePaletteKeydown(e));
+    document
+      .getElementById("command-palette")
+      .addEventListener("click", (e) => {
+        if (e.target.id === "command-palette") this.hideCommandPalette();
+      });
+
+    // Close modal on outside click
+    document.getElementById("text-modal").addEventListener("click", (e) => {
+      if (e.target.id === "text-modal") this.hideTextModal();
+    });
+    document.getElementById("image-modal").addEventListener("click", (e) => {
+      if (e.target.id === "image-modal") this.hideImageModal();
+    });
+    document.getElementById("file-modal").addEventListener("click", (e) => {
+      if (e.target.id === "file-modal") this.hideFileModal();
+    });
+
+    // Image preview modal events
+    document
+      .getElementById("close-preview-btn")
+      .addEventListener("click", () => {
+        if (this.confirmDiscardEdits()) this.hideImagePreview();
+      });
+    document
+      .getElementById("image-preview-modal")
+      .addEventListener("click", (e) => {
+        // A drag in the editor that ends outside the image isn't a click
+        // on the backdrop
+        if (e.target.id === "image-preview-modal" && !this.editorClip) {
+          this.hideImagePreview();
+        }
+      });
+
+    // Image editor events
+    this.imageEditor = new ImageEditor(
+      document.getElementById("image-editor-canvas"),
+      {
+        overlay: document.getElementById("image-editor-overlay"),
+        onChange: () => this.updateEditorControls(),
+      }
+    );
+    document.querySelectorAll("[data-editor-tool]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.setEditorTool(button.dataset.editorTool)
+      );
+    });
+    document.getElementById("editor-color").addEventListener("input", (e) => {
+      this.imageEditor.color = e.target.value;
+    });
+    document
+      .getElementById("editor-line-width")
+      .addEventListener("change", (e) => {
+        this.imageEditor.lineWidth = Number(e.target.value);
+      });
+    document
+      .getElementById("editor-rotate-left")
+      .addEventListener("click", () => this.imageEditor.rotate(-1));
+    document
+      .getElementById("editor-rotate-right")
+      .addEventListener("click", () => this.imageEditor.rotate(1));
+    document
+      .getElementById("editor-width")
+      .addEventListener("input", () => this.keepEditorRatio("width"));
+    document
+      .getElementById("editor-height")
+      .addEventListener("input", () => this.keepEditorRatio("height"));
+    document
+      .getElementById("editor-resize")
+      .addEventListener("click", () => this.resizeEditedImage());
+    document
+      .getElementById("editor-undo")
+      .addEventListener("click", () => this.imageEditor.undo());
+    document.getElementById("editor-cancel").addEventListener("click", () => {
+      if (this.confirmDiscardEdits()) this.hideImageEditor();
+    });
+    document
+      .getElementById("editor-save-new")
+      .addEventListener("click", () => this.saveEditedImage(false));
+    document
+      .getElementById("editor-save-revision")
+      .addEventListener("click", () => this.saveEditedImage(true));
+
+    // Collection events
+    document
+      .getElementById("add-collection-btn")
+      .addEventListener("click", () => this.createCollection());
+    document
+      .getElementById("collection-delete-cancel")
+      .addEventListener("click", () => this.hideCollectionDeleteModal());
+    document
+      .getElementById("collection-delete-move")
+      .addEventListener("click", () => this.deleteCollection(false));
+    document
+      .getElementById("collection-delete-clips")
+      .addEventListener("click", () => this.deleteCollection(true));
+    document
+      .getElementById("collection-delete-modal")
+      .addEventListener("click", (e) => {
+        if (e.target.id === "collection-delete-modal") {
+          this.hideCollectionDeleteModal();
+        }
+      });
+    document.addEventListener("click", () => this.closeCardMenus());
+
+    // Tag modal events
+    document
+      .getElementById("tag-modal-cancel")
+      .addEventListener("click", () => this.hideTagModal());
+    document
+      .getElementById("tag-modal-save")
+      .addEventListener("click", () => this.saveTag());
+    document
+      .getElementById("tag-modal-delete")
+      .addEventListener("click", () => this.deleteTag());
+    document.getElementById("tag-modal").addEventListener("click", (e) => {
+      if (e.target.id === "tag-modal") this.hideTagModal();
+    });
+
+    // Backup events
+    document
+      .getElementById("export-btn")
+      .addEventListener("click", () => this.exportAll());
+    document
+      .getElementById("import-btn")
+      .addEventListener("click", () => this.showImportModal());
+    document
+      .getElementById("import-modal-cancel")
+      .addEventListener("click", () => this.hideImportModal());
+    document
+      .getElementById("import-modal-save")
+      .addEventListener("click", () => this.importBackup());
+    document.getElementById("import-modal").addEventListener("click", (e) => {
+      if (e.target.id === "import-modal") this.hideImportModal();
+    });
+
+    // Transform events
+    document.getElementById("transform-add").addEventListener("change", (e) => {
+      if (!e.target.value) return;
+      this.transformSteps.push(e.target.value);
+      e.target.value = "";
+      this.renderTransformSteps();
+    });
+    document
+      .getElementById("transform-chain-select")
+      .addEventListener("change", (e) => {
+        const chain = this.transformChains[e.target.value];
+        if (!chain) return;
+        this.transformSteps = [...chain.steps];
+        this.renderTransformSteps();
+      });
+    document
+      .getElementById("transform-chain-save")
+      .addEventListener("click", () => this.saveTransformChain());
+    document
+      .getElementById("transform-chain-delete")
+      .addEventListener("click", () => this.deleteTransformChain());
+    document
+      .getElementById("transform-modal-cancel")
+      .addEventListener("click", () => this.hideTransformModal());
+    document
+      .getElementById("transform-modal-new")
+      .addEventListener("click", () => this.saveTransformResult());
+    document
+      .getElementById("transform-modal-copy")
+      .addEventListener("click", () => this.copyTransformResult());
+    document
+      .getElementById("transform-modal")
+      .addEventListener("click", (e) => {
+        if (e.target.id === "transform-modal") this.hideTransformModal();
+      });
+
+    // Image conversion events
+    document
+      .getElementById("convert-format")
+      .addEventListener("change", () => this.updateConvertPreview());
+    document
+      .getElementById("convert-quality")
+      .addEventListener("change", () => this.updateConvertPreview());
+    document
+      .getElementById("convert-quality")
+      .addEventListener("input", (e) => {
+        document.getElementById(
+          "convert-quality-value"
+        ).textContent = `${e.target.value}%`;
+      });
+    document
+      .getElementById("convert-modal-cancel")
+      .addEventListener("click", () => this.hideConvertModal());
+    document
+      .getElementById("convert-modal-copy")
+      .addEventListener("click", () => this.applyConversion("copy"));
+    document
+      .getElementById("convert-modal-download")
+      .addEventListener("click", () => this.applyConversion("download"));
+    document.getElementById("convert-modal").addEventListener("click", (e) => {
+      if (e.target.id === "convert-modal") this.hideConvertModal();
+    });
+
+    // Template events
+    document.getElementById("template-form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.copyTemplate();
+    });
+    document
+      .getElementById("template-modal-cancel")
+      .addEventListener("click", () => this.hideTemplateModal());
+    document.getElementById("template-modal").addEventListener("click", (e) => {
+      if (e.target.id === "template-modal") this.hideTemplateModal();
+    });
+
+    // Duplicate events
+    document
+      .getElementById("duplicate-cancel")
+      .addEventListener("click", () => this.resolveDuplicate(null));
+    document
+      .getElementById("duplicate-move")
+      .addEventListener("click", () => this.resolveDuplicate("move"));
+    document
+      .getElementById("duplicate-merge")
+      .addEventListener("click", () => this.resolveDuplicate("merge"));
+    document
+      .getElementById("duplicate-modal")
+      .addEventListener("click", (e) => {
+        if (e.target.id === "duplicate-modal") this.resolveDuplicate(null);
+      });
+    document
+      .getElementById("find-duplicates-btn")
+      .addEventListener("click", () => this.showDuplicatesModal());
+    document
+      .getElementById("duplicates-modal-cancel")
+      .addEventListener("click", () => this.hideDuplicatesModal());
+    document
+      .getElementById("duplicates-modal-save")
+      .addEventListener("click", () => this.resolveDuplicateGroups());
+    document
+      .getElementById("duplicates-modal")
+      .addEventListener("click", (e) => {
+        if (e.target.id === "duplicates-modal") this.hideDuplicatesModal();
+      });
+
+    // Settings modal events
+    document
+      .getElementById("settings-btn")
+      .addEventListener("click", () => this.showSettingsModal());
+    document
+      .getElementById("settings-modal-cancel")
+      .addEventListener("click", () => this.hideSettingsModal());
+    document
+      .getElementById("settings-modal-save")
+      .addEventListener("click", () => this.saveSettings());
+    document.getElementById("settings-modal").addEventListener("click", (e) => {
+      if (e.target.id === "settings-modal") this.hideSettingsModal();
+    });
+
+    // Automatic capture reads the clipboard whenever the page comes back
+    window.addEventListener("focus", () => this.captureClipboard());
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") this.captureClipboard();
+    });
+
+    // History modal events
+    document
+      .getElementById("history-modal-close")
+      .addEventListener("click", () => this.hideHistory());
+    document
+      .getElementById("history-restore-btn")
+      .addEventListener("click", () => this.restoreSelectedRevision());
+    document
+      .getElementById("history-base-select")
+      .addEventListener("change", () => this.renderHistoryDiff());
+    document
+      .getElementById("history-target-select")
+      .addEventListener("change", () => this.renderHistoryDiff());
+    document.getElementById("history-modal").addEventListener("click", (e) => {
+      if (e.target.id === "history-modal") this.hideHistory();
+    });
+
+    // Drag and drop events
+    this.setupDragAndDrop();
+  }
+
+  // Load clips
+  async loadClips() {
+    try {
+      this.clips = await this.db.getAllClips();
+      this.searchIndex.sync(this.clips);
+      this.tagCounts = await this.db.getTagCounts();
+      this.tagColors = await this.db.getSetting("tagColors", {});
+      this.collections = await this.db.getAllCollections();
+      // Read the text in new images in the background
+      this.recognizeImageText();
+    } catch (error) {
+      console.error("Clip loading error:", error);
+      this.showError("Failed to load data");
+    }
+  }
+
+  // Render clips
+  renderClips() {
+    const container = document.getElementById("clips-container");
+    const emptyState = document.getElementById("empty-state");
+
+    this.renderCollectionPanel();
+    this.renderTagPanel();
+    this.renderActiveFilters();
+
+    let filteredClips = [...this.clips];
+    let ranked = false;
+
+    // Release the image URLs of the previous render
+    this.thumbnailObserver.disconnect();
+    this.revokeObjectUrls();
+
+    // Apply collection
+    if (this.currentCollection === "default") {
+      filteredClips = filteredClips.filter((clip) => !clip.collectionId);
+    } else if (this.currentCollection !== "all") {
+      filteredClips = filteredClips.filter(
+        (clip) => clip.collectionId === this.currentCollection
+      );
+    }
+
+    // Apply search query through the index
+    this.searchHighlight = null;
+    if (this.currentSearch.trim()) {
+      const result = this.searchIndex.search(
+        this.currentSearch,
+        filteredClips,
+        { fuzzy: this.fuzzySearch }
+      );
+      filteredClips = result.clips;
+      ranked = result.ranked;
+      this.searchHighlight = this.createHighlightPattern(result.highlights);
+    }
+
+    // Apply tag filter: all of the selected tags or any of them
+    if (this.tagFilter.length > 0) {
+      const matches = (clip) => (tag) => clip.tags.includes(tag);
+      filteredClips = filteredClips.filter((clip) =>
+        this.tagFilterMode === "all"
+          ? this.tagFilter.every(matches(clip))
+          : this.tagFilter.some(matches(clip))
+      );
+    }
+
+    // Apply category filter
+    if (this.currentFilter === "favorites") {
+      filteredClips = filteredClips.filter((clip) => clip.favorite);
+    } else if (this.currentFilter) {
+      filteredClips = filteredClips.filter(
+        (clip) => clip.type === this.currentFilter
+      );
+    }
+
+    // Apply sorting; text searches keep their relevance order
+    if (!ranked) {
+      filteredClips.sort((a, b) => {
+        const dateA = this.getSortDate(a);
+        const dateB = this.getSortDate(b);
+        return this.currentSort === "newest" ? dateB - dateA : dateA - dateB;
+      });
+    }
+
+    // Pinned clips stay on top in their manual order
+    const pinned = filteredClips
+      .filter((clip) => clip.pinned)
+      .sort((a, b) => a.pinOrder - b.pinOrder);
+    filteredClips = [
+      ...pinned,
+      ...filteredClips.filter((clip) => !clip.pinned),
+    ];
+
+    if (filteredClips.length === 0) {
+      container.innerHTML = "";
+      emptyState.classList.remove("hidden");
+    } else {
+      emptyState.classList.add("hidden");
+      container.innerHTML = "";
+      filteredClips.forEach((clip) => {
+        const clipElement = this.createClipCard(clip);
+        container.appendChild(clipElement);
+      });
+    }
+  }
+
+  // Create clip card using DOM methods
+  createClipCard(clip) {
+    const date = new Date(clip.createdAt).toLocaleString("en-US");
+
+    // Create main card container
+    // Cards take focus so the grid can be browsed with the keyboard
+    const card = this.createElement("div", {
+      "data-clip-id": clip.id,
+      tabindex: "0",
+      role: "article",
+      "aria-label": `${clip.pinned ? "Pinned " : ""}${
+        clip.type
+      } clip: ${this.getClipSummary(clip)}`,
+      className: `bg-white dark:bg-apple-gray-800 rounded-xl shadow-sm border ${
+        clip.pinned
+          ? "border-blue-400 dark:border-blue-500"
+          : "border-apple-gray-200 dark:border-apple-gray-700"
+      } p-6 hover:shadow-md transition-shadow duration-200 flex flex-col h-full focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500`,
+    });
+
+    // Pinned cards can be reordered by dropping another pinned card on them
+    if (clip.pinned) {
+      this.bindPinnedDropTarget(card, clip);
+    }
+
+    // Create header section
+    const header = this.createCardHeader(clip);
+    card.appendChild(header);
+
+    // Create content container that will grow to fill space
+    const contentContainer = this.createElement("div", {
+      className: "flex-1 flex flex-col",
+    });
+
+    // Create content section based on type
+    if (clip.type === "text") {
+      const content = this.createTextContent(clip);
+      contentContainer.appendChild(content);
+    } else if (clip.type === "image") {
+      const content = this.createImageContent(clip);
+      contentContainer.appendChild(content);
+    } else if (clip.type === "file") {
+      const content = this.createFileContent(clip);
+      contentContainer.appendChild(content);
+    }
+
+    // Create memo section if exists
+    if (clip.memo) {
+      const memo = this.createMemoSection(clip.memo);
+      contentContainer.appendChild(memo);
+    }
+
+    // Create tags section
+    const tags = this.createTagsSection(clip.tags);
+    contentContainer.appendChild(tags);
+
+    card.appendChild(contentContainer);
+
+    // Create footer section (this will be pushed to bottom)
+    const footer = this.createCardFooter(clip, date);
+    card.appendChild(footer);
+
+    return card;
+  }
+
+  // Helper method to create DOM elements
+  createElement(tag, attributes = {}, textContent = "") {
+    const element = document.createElement(tag);
+
+    Object.keys(attributes).forEach((key) => {
+      if (key === "className") {
+        element.className = attributes[key];
+      } else if (key === "onclick") {
+        element.onclick = attributes[key];
+      } else {
+        element.setAttribute(key, attributes[key]);
+      }
+    });
+
+    if (textContent) {
+      element.textContent = textContent;
+    }
+
+    return element;
+  }
+
+  // Create card header with type indicator and edit/delete buttons
+  createCardHeader(clip) {
+    const header = this.createElement("div", {
+      className: "flex items-start justify-between mb-3",
+    });
+
+    const typeSection = this.createElement("div", {
+      className: "flex items-center space-x-2",
+    });
+
+    // Create type label with MIME type info
+    let typeText = clip.type === "text" ? "Text" : "Image";
+    if (clip.type === "text" && clip.html) typeText = "Rich Text";
+    if (clip.mimeType) {
+      if (clip.type === "text" && clip.filename) {
+        typeText = `Text File (${
+          clip.filename.split(".").pop()?.toUpperCase() || "TXT"
+        })`;
+      } else if (clip.type === "image") {
+        const imageType = clip.mimeType.split("/")[1]?.toUpperCase() || "IMG";
+        typeText = `Image (${imageType})`;
+      }
+    }
+    if (clip.type === "file") {
+      const extension = clip.filename?.includes(".")
+        ? clip.filename.split(".").pop().toUpperCase()
+        : "";
+      typeText = extension ? `File (${extension})` : "File";
+    }
+
+    const typeLabel = this.createElement(
+      "span",
+      {
+        className:
+          "text-sm font-medium text-apple-gray-500 dark:text-apple-gray-400",
+      },
+      typeText
+    );
+
+    const actions = this.createElement("div", {
+      className: "flex items-center space-x-3",
+    });
+
+    const editButton = this.createElement(
+      "button",
+      {
+        className:
+          "text-apple-gray-400 hover:text-blue-500 transition-colors duration-200",
+        onclick: () => this.editClip(clip),
+      },
+      "Edit"
+    );
+
+    const deleteButton = this.createElement(
+      "button",
+      {
+        className:
+          "text-apple-gray-400 hover:text-red-500 transition-colors duration-200",
+        onclick: () => this.deleteClip(clip.id),
+      },
+      "Delete"
+    );
+
+    const favoriteButton = this.createElement(
+      "button",
+      {
+        className: `${
+          clip.favorite
+            ? "text-yellow-500"
+            : "text-apple-gray-400 hover:text-yellow-500"
+        } transition-colors duration-200`,
+        title: clip.favorite ? "Remove from favourites" : "Add to favourites",
+        "aria-pressed": String(Boolean(clip.favorite)),
+        onclick: () => this.toggleFavorite(clip),
+      },
+      clip.favorite ? "★" : "☆"
+    );
+
+    const pinButton = this.createElement(
+      "button",
+      {
+        className: `text-xs ${
+          clip.pinned
+            ? "text-blue-500"
+            : "text-apple-gray-400 hover:text-blue-500"
+        } transition-colors duration-200`,
+        title: clip.pinned ? "Unpin" : "Pin to the top",
+        "aria-pressed": String(Boolean(clip.pinned)),
+        onclick: () => this.togglePin(clip),
+      },
+      clip.pinned ? "Pinned" : "Pin"
+    );
+
+    const dragHandle = this.createElement(
+      "span",
+      {
+        className:
+          "cursor-move select-none text-apple-gray-400 hover:text-apple-gray-600 dark:hover:text-apple-gray-200",
+        draggable: "true",
+        title: clip.pinned
+          ? "Drag onto another pinned clip to reorder, or onto a collection"
+          : "Drag onto a collection to move this clip",
+      },
+      "⠿"
+    );
+    this.bindCardDragHandle(dragHandle, clip);
+
+    typeSection.appendChild(dragHandle);
+    typeSection.appendChild(favoriteButton);
+    typeSection.appendChild(typeLabel);
+    typeSection.appendChild(pinButton);
+    actions.appendChild(editButton);
+    if (clip.type === "text" || clip.type === "image") {
+      actions.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "text-apple-gray-400 hover:text-blue-500 transition-colors duration-200",
+            onclick: () => this.showHistory(clip),
+          },
+          "History"
+        )
+      );
+    }
+    actions.appendChild(deleteButton);
+    actions.appendChild(this.createCardMenu(clip));
+    header.appendChild(typeSection);
+    header.appendChild(actions);
+
+    return header;
+  }
+
+  // Create the card's "more actions" menu
+  createCardMenu(clip) {
+    return this.createDropdown(
+      { label: "⋯", title: "More actions" },
+      (addItem, addHeading) => {
+        addHeading("Move to");
+        addItem(
+          "Default",
+          () => this.moveClipToCollection(clip.id, null),
+          !clip.collectionId
+        );
+        this.collections.forEach((collection) => {
+          addItem(
+            collection.name,
+            () => this.moveClipToCollection(clip.id, collection.id),
+            clip.collectionId === collection.id
+          );
+        });
+      }
+    );
+  }
+
+  // Create a button with a dropdown menu for a card
+  // populate(addItem, addHeading) fills the menu; up opens it above
+  createDropdown({ label, title, className = "px-1", up = false }, populate) {
+    const wrapper = this.createElement("div", { className: "relative" });
+    const menu = this.createElement("div", {
+      className: `hidden absolute right-0 ${
+        up ? "bottom-full mb-1" : "mt-1"
+      } w-52 max-h-72 overflow-y-auto py-1 z-20 bg-white dark:bg-apple-gray-700 border border-apple-gray-200 dark:border-apple-gray-600 rounded-lg shadow-lg text-sm`,
+      role: "menu",
+    });
+    const button = this.createElement(
+      "button",
+      {
+        className: `${className} text-apple-gray-400 hover:text-apple-gray-700 dark:hover:text-apple-gray-200 transition-colors duration-200`,
+        title,
+        "aria-haspopup": "menu",
+        "aria-expanded": "false",
+        onclick: (e) => {
+          e.stopPropagation();
+          const open = menu.classList.contains("hidden");
+          this.closeCardMenus();
+          menu.classList.toggle("hidden", !open);
+          button.setAttribute("aria-expanded", String(open));
+        },
+      },
+      label
+    );
+
+    const addItem = (itemLabel, action, disabled = false) => {
+      const item = this.createElement(
+        "button",
+        {
+          className: `block w-full text-left px-3 py-1.5 ${
+            disabled
+              ? "text-apple-gray-400 dark:text-apple-gray-500 cursor-default"
+              : "text-apple-gray-700 dark:text-apple-gray-200 hover:bg-apple-gray-100 dark:hover:bg-apple-gray-600"
+          }`,
+          role: "menuitem",
+          onclick: () => {
+            this.closeCardMenus();
+            if (!disabled) action();
+          },
+        },
+        itemLabel
+      );
+      item.disabled = disabled;
+      menu.appendChild(item);
+    };
+    const addHeading = (headingLabel) => {
+      menu.appendChild(
+        this.createElement(
+          "div",
+          {
+            className:
+              "px-3 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-apple-gray-400",
+          },
+          headingLabel
+        )
+      );
+    };
+    populate(addItem, addHeading);
+
+    wrapper.appendChild(button);
+    wrapper.appendChild(menu);
+    return wrapper;
+  }
+
+  // Close every open card menu
+  closeCardMenus() {
+    document
+      .querySelectorAll('#clips-container [role="menu"]')
+      .forEach((menu) => {
+        menu.classList.add("hidden");
+        menu.previousElementSibling.setAttribute("aria-expanded", "false");
+      });
+  }
+
+  // Create text content section
+  createTextContent(clip) {
+    const contentSection = this.createElement("div", {
+      className: "mb-4",
+    });
+
+    const toolbar = this.createElement("div", {
+      className: "flex items-center justify-end gap-2 mb-1",
+    });
+    const rich = Boolean(clip.html);
+    const markdown = !rich && this.isMarkdownClip(clip);
+    const showSource = this.sourceView.has(clip.id);
+    if (rich) {
+      toolbar.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300",
+            title: showSource ? "Show formatted text" : "Show plain text",
+            onclick: () => this.toggleSourceView(clip.id),
+          },
+          showSource ? "Formatted" : "Plain text"
+        )
+      );
+    } else if (markdown) {
+      toolbar.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300",
+            title: showSource
+              ? "Show rendered Markdown"
+              : "Show Markdown source",
+            onclick: () => this.toggleSourceView(clip.id),
+          },
+          showSource ? "Rendered" : "Source"
+        )
+      );
+    }
+
+    const languageSelect = this.createElement("select", {
+      className:
+        "text-xs bg-transparent dark:bg-apple-gray-800 text-apple-gray-500 dark:text-apple-gray-400 rounded cursor-pointer focus:ring-2 focus:ring-blue-500",
+      title: "Language",
+      "aria-label": "Language",
+    });
+    languageSelect.appendChild(
+      this.createElement("option", { value: "" }, "Plain text")
+    );
+    Object.entries(SyntaxHighlighter.LANGUAGES).forEach(([id, language]) => {
+      languageSelect.appendChild(
+        this.createElement("option", { value: id }, language.name)
+      );
+    });
+    languageSelect.value = clip.language || "";
+    languageSelect.addEventListener("change", () =>
+      this.setClipLanguage(clip, languageSelect.value || null)
+    );
+
+    toolbar.appendChild(languageSelect);
+    contentSection.appendChild(toolbar);
+
+    if ((rich || markdown) && !showSource) {
+      const rendered = rich
+        ? this.htmlSanitizer.render(clip.html)
+        : this.markdownRenderer.render(clip.content);
+      rendered.className =
+        "text-sm max-h-48 text-apple-gray-700 dark:text-apple-gray-300 bg-apple-gray-50 dark:bg-apple-gray-700 p-3 rounded-lg break-words overflow-y-auto";
+      contentSection.appendChild(rendered);
+      return contentSection;
+    }
+
+    const pre = this.createElement("pre", {
+      className:
+        "text-sm max-h-48 text-apple-gray-700 dark:text-apple-gray-300 whitespace-pre-wrap font-mono bg-apple-gray-50 dark:bg-apple-gray-700 p-3 rounded-lg break-words overflow-wrap-anywhere overflow-y-auto",
+    });
+    if (clip.language && clip.content.length <= HIGHLIGHT_LIMIT) {
+      pre.setAttribute("data-language", clip.language);
+      this.appendHighlightedTokens(
+        pre,
+        SyntaxHighlighter.tokenize(clip.content, clip.language)
+      );
+    } else {
+      this.appendHighlightedText(pre, clip.content);
+    }
+
+    contentSection.appendChild(pre);
+    return contentSection;
+  }
+
+  // Markdown clips are rendered; files saved before Markdown support count
+  // too when no other language was chosen
+  isMarkdownClip(clip) {
+    return (
+      clip.language === "markdown" ||
+      (!clip.language &&
+        (SyntaxHighlighter.fromMimeType(clip.mimeType || "") === "markdown" ||
+          SyntaxHighlighter.fromFilename(clip.filename || "") === "markdown"))
+    );
+  }
+
+  // Switch a Markdown or rich text clip between rendered and source view
+  toggleSourceView(clipId) {
+    if (this.sourceView.has(clipId)) {
+      this.sourceView.delete(clipId);
+    } else {
+      this.sourceView.add(clipId);
+    }
+    this.renderClips();
+  }
+
+  // Create an object URL for a Blob that is released on the next render
+  createObjectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.push(url);
+    return url;
+  }
+
+  // Release all object URLs created for the current cards
+  revokeObjectUrls() {
+    this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+  }
+
+  // The picture to show for an image clip or revision, preferring its
+  // thumbnail; null when the version 3 upgrade left malformed image data
+  // as a string that can't be shown
+  getDisplayImage(image, { thumbnail = true } = {}) {
+    const blob = (thumbnail && image.thumbnail) || image.content;
+    return blob instanceof Blob ? blob : null;
+  }
+
+  // Placeholder for a picture that can't be shown
+  createUnreadableImage(className) {
+    return this.createElement(
+      "div",
+      {
+        className: `flex items-center justify-center text-sm text-apple-gray-500 dark:text-apple-gray-400 bg-apple-gray-100 dark:bg-apple-gray-700 rounded-lg ${className}`,
+      },
+      "This image can't be displayed"
+    );
+  }
+
+  // Create image content section
+  createImageContent(clip) {
+    const contentSection = this.createElement("div", {
+      className: "mb-4",
+    });
+
+    const button = this.createElement("button", {
+      type: "button",
+      "aria-label": `Open ${clip.filename || "image"}`,
+      className:
+        "block w-full rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500",
+      onclick: () => this.showImagePreview(clip),
+    });
+
+    const image = this.getDisplayImage(clip);
+    if (!image) {
+      button.appendChild(this.createUnreadableImage("w-full h-48"));
+      contentSection.appendChild(button);
+      return contentSection;
+    }
+
+    // The thumbnail is only loaded once the card scrolls into view
+    const img = this.createElement("img", {
+      alt: "",
+      className:
+        "w-full h-48 object-cover rounded-lg border border-apple-gray-200 dark:border-apple-gray-600 cursor-pointer hover:opacity-80 transition-opacity duration-200",
+    });
+    this.lazyImages.set(img, image);
+    this.thumbnailObserver.observe(img);
+
+    button.appendChild(img);
+    contentSection.appendChild(button);
+    return contentSection;
+  }
+
+  // Create file content section: icon, name, size and type
+  createFileContent(clip) {
+    const contentSection = this.createElement("div", {
+      className:
+        "mb-4 flex items-center gap-3 p-3 bg-apple-gray-50 dark:bg-apple-gray-700 rounded-lg",
+    });
+
+    contentSection.appendChild(
+      this.createElement(
+        "span",
+        { className: "text-3xl select-none", "aria-hidden": "true" },
+        "📄"
+      )
+    );
+
+    const details = this.createElement("div", { className: "min-w-0" });
+    details.appendChild(
+      this.createElement(
+        "p",
+        {
+          className:
+            "text-sm font-medium text-apple-gray-900 dark:text-white truncate",
+          title: clip.filename || "",
+        },
+        clip.filename || "Untitled file"
+      )
+    );
+    details.appendChild(
+      this.createElement(
+        "p",
+        { className: "text-xs text-apple-gray-500 dark:text-apple-gray-400" },
+        [formatFileSize(clip.filesize ?? clip.content.size), clip.mimeType]
+          .filter(Boolean)
+          .join(" · ")
+      )
+    );
+
+    contentSection.appendChild(details);
+    return contentSection;
+  }
+
+  // Load thumbnails of images that scrolled into view
+  loadVisibleThumbnails(entries) {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+
+      const img = entry.target;
+      img.src = this.createObjectUrl(this.lazyImages.get(img));
+      this.lazyImages.delete(img);
+      this.thumbnailObserver.unobserve(img);
+    });
+  }
+
+  // Render a scaled-down copy of an image for the card grid
+  // Resolves with null when the browser can't decode the image
+  async createThumbnail(blob) {
+    try {
+      const image = await this.loadImage(blob);
+      const { naturalWidth: width, naturalHeight: height } = image;
+      if (!width || !height) return null;
+
+      const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      canvas
+        .getContext("2d")
+        .drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      // Browsers without WebP encoding fall back to PNG
+      return await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/webp", 0.8)
+      );
+    } catch (error) {
+      console.log("Thumbnail generation failed:", error);
+      return null;
+    }
+  }
+
+  // Decode an image Blob into an <img> element that can be drawn
+  async loadImage(blob) {
+    const url = URL.createObjectURL(blob);
+    try {
+      return await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error("Failed to decode image"));
+        img.src = url;
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  // Create thumbnails for image clips saved before thumbnails existed
+  async generateMissingThumbnails() {
+    const pending = this.clips.filter(
+      (clip) => clip.type === "image" && clip.thumbnail === undefined
+    );
+    if (pending.length === 0) return;
+
+    for (const clip of pending) {
+      const thumbnail = await this.createThumbnail(clip.content);
+      await this.db.updateClip(clip.id, { thumbnail }, { touch: false });
+    }
+
+    await this.loadClips();
+    this.renderClips();
+  }
+
+  // Recognise the text in image clips that haven't been read yet, so they
+  // can be found by search. Runs in the background, one image at a time;
+  // images added meanwhile are picked up before it finishes
+  async recognizeImageText() {
+    if (this.recognizing) {
+      this.recognizeAgain = true;
+      return;
+    }
+    this.recognizing = true;
+
+    try {
+      do {
+        this.recognizeAgain = false;
+        const pending = this.clips.filter(
+          (clip) =>
+            clip.type === "image" &&
+            typeof clip.ocrText !== "string" &&
+            this.getDisplayImage(clip, { thumbnail: false })
+        );
+        // The engine is only loaded when there is something to read
+        if (pending.length > 0 && !(await this.ocr.isAvailable())) return;
+
+        for (const clip of pending) {
+          let ocrText;
+          try {
+            ocrText = await this.ocr.recognize(clip.content);
+          } catch (error) {
+            console.log("Text recognition failed:", error);
+            if (!(await this.ocr.isAvailable())) return;
+            ocrText = "";
+          }
+
+          // An image edited or replaced while it was being read is read
+          // again from the reloaded clips
+          let updated;
+          try {
+            updated = await this.db.updateClip(
+              clip.id,
+              { ocrText },
+              { touch: false, contentHash: clip.contentHash ?? null }
+            );
+          } catch {
+            // The clip was deleted while its text was being read
+            continue;
+          }
+          if (!updated) continue;
+          clip.ocrText = ocrText;
+          this.searchIndex.add(clip);
+        }
+
+        if (pending.length > 0 && this.currentSearch.trim()) {
+          this.renderClips();
+        }
+      } while (this.recognizeAgain);
+    } finally {
+      this.recognizing = false;
+    }
+  }
+
+  // Hash clips saved before content hashes existed
+  async generateMissingHashes() {
+    const pending = this.clips.filter((clip) => !clip.contentHash);
+    if (pending.length === 0) return;
+
+    for (const clip of pending) {
+      const contentHash = await hashContent(clip.content);
+      await this.db.updateClip(clip.id, { contentHash }, { touch: false });
+    }
+
+    await this.loadClips();
+  }
+
+  // Detect the language of text clips saved before languages existed
+  async generateMissingLanguages() {
+    const pending = this.clips.filter(
+      (clip) => clip.type === "text" && clip.language === undefined
+    );
+    if (pending.length === 0) return;
+
+    for (const clip of pending) {
+      const language = SyntaxHighlighter.detect(
+        clip.content,
+        clip.filename,
+        clip.mimeType
+      );
+      await this.db.updateClip(clip.id, { language }, { touch: false });
+    }
+
+    await this.loadClips();
+    this.renderClips();
+  }
+
+  // Change the language a text clip is highlighted as
+  async setClipLanguage(clip, language) {
+    try {
+      await this.db.updateClip(clip.id, { language }, { touch: false });
+      await this.loadClips();
+      this.renderClips();
+    } catch (error) {
+      console.error("Language error:", error);
+      this.showError("Failed to change language");
+    }
+  }
+
+  // Create memo section
+  createMemoSection(memo) {
+    const memoElement = this.createElement("p", {
+      className: "text-sm text-apple-gray-600 dark:text-apple-gray-400 mb-3",
+    });
+    this.appendHighlightedText(memoElement, memo);
+    return memoElement;
+  }
+
+  // Build one case-insensitive pattern from the matched search terms
+  createHighlightPattern(highlights) {
+    if (highlights.length === 0) return null;
+
+    const sources = [...highlights]
+      .sort((a, b) => b.length - a.length)
+      .map((text) =>
+        text
+          .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+          .replace(/\s+/g, "\\s+")
+          // Terms are normalized to hiragana; match katakana as well
+          .replace(
+            /[\u3041-\u3096]/g,
+            (char) =>
+              `[${char}${String.fromCharCode(char.charCodeAt(0) + 0x60)}]`
+          )
+      );
+    return new RegExp(sources.join("|"), "giu");
+  }
+
+  // Append text to an element, wrapping search matches in <mark>
+  appendHighlightedText(element, text) {
+    this.appendHighlightedTokens(element, [{ text, type: null }]);
+  }
+
+  // Append syntax tokens as coloured spans, wrapping search matches in <mark>
+  // Matches are found in the whole text, so one may cover several tokens
+  appendHighlightedTokens(element, tokens) {
+    const text = tokens.map((token) => token.text).join("");
+    const matches = [];
+    if (this.searchHighlight) {
+      text.replace(this.searchHighlight, (match, offset) => {
+        if (match) matches.push([offset, offset + match.length]);
+        return match;
+      });
+    }
+
+    let offset = 0;
+    tokens.forEach((token) => {
+      const end = offset + token.text.length;
+      const target = token.type
+        ? element.appendChild(
+            this.createElement("span", {
+              className: SyntaxHighlighter.TOKEN_CLASSES[token.type],
+            })
+          )
+        : element;
+
+      let position = offset;
+      matches.forEach(([start, stop]) => {
+        if (stop <= position || start >= end) return;
+        if (start > position) {
+          target.appendChild(
+            document.createTextNode(text.slice(position, start))
+          );
+        }
+        position = Math.min(stop, end);
+        target.appendChild(
+          this.createElement(
+            "mark",
+            {
+              className:
+                "bg-yellow-200 dark:bg-yellow-600 text-inherit rounded-sm",
+            },
+            text.slice(Math.max(start, offset), position)
+          )
+        );
+      });
+      if (position < end) {
+        target.appendChild(document.createTextNode(text.slice(position, end)));
+      }
+      offset = end;
+    });
+  }
+
+  // Create tags section
+  createTagsSection(tags) {
+    const tagsContainer = this.createElement("div", {
+      className: "flex flex-wrap gap-1 mb-3",
+    });
+
+    tags.forEach((tag) => {
+      const tagElement = this.createElement(
+        "button",
+        {
+          type: "button",
+          "aria-label": `Show clips tagged ${tag}`,
+          className: `inline-block px-2 py-1 text-xs ${
+            this.getTagColor(tag).chip
+          } rounded-full cursor-pointer transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500`,
+        },
+        tag
+      );
+
+      tagElement.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.searchByTag(tag);
+      });
+
+      tagsContainer.appendChild(tagElement);
+    });
+
+    return tagsContainer;
+  }
+
+  // Existing tags for autocomplete, most used first
+  // Spelling variants are counted together under their normalized form
+  getTagSuggestions() {
+    const counts = new Map();
+    this.tagCounts.forEach(({ tag, count }) => {
+      const normalized = normalizeTag(tag);
+      if (normalized) {
+        counts.set(normalized, (counts.get(normalized) || 0) + count);
+      }
+    });
+    return Array.from(counts.keys()).sort(
+      (a, b) => counts.get(b) - counts.get(a)
+    );
+  }
+
+  // Get the colour classes of a tag
+  getTagColor(tag) {
+    return TAG_COLORS[this.tagColors[tag]] || TAG_COLORS.blue;
+  }
+
+  // Collection that new clips are saved to: the open one, or the default
+  getActiveCollectionId() {
+    return typeof this.currentCollection === "number"
+      ? this.currentCollection
+      : null;
+  }
+
+  // Render the collection sidebar
+  renderCollectionPanel() {
+    const list = document.getElementById("collection-list");
+    list.innerHTML = "";
+
+    const entries = [
+      { key: "all", name: "All clips", count: this.clips.length },
+      {
+        key: "default",
+        name: "Default",
+        count: this.clips.filter((clip) => !clip.collectionId).length,
+        dropTarget: null,
+      },
+      ...this.collections.map((collection) => ({
+        key: collection.id,
+        name: collection.name,
+        count: this.clips.filter((clip) => clip.collectionId === collection.id)
+          .length,
+        dropTarget: collection.id,
+        collection,
+      })),
+    ];
+
+    entries.forEach((entry) => {
+      const active = this.currentCollection === entry.key;
+      const item = this.createElement("li", {
+        className: `group flex items-center gap-2 px-2 py-1 rounded-lg hover:bg-apple-gray-100 dark:hover:bg-apple-gray-700 ${
+          active ? "bg-apple-gray-100 dark:bg-apple-gray-700 font-semibold" : ""
+        }`,
+      });
+
+      item.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "flex-1 min-w-0 truncate text-left text-sm text-apple-gray-700 dark:text-apple-gray-300",
+            "aria-current": active ? "true" : "false",
+            onclick: () => this.selectCollection(entry.key),
+          },
+          entry.name
+        )
+      );
+      item.appendChild(
+        this.createElement(
+          "span",
+          { className: "text-xs text-apple-gray-400 dark:text-apple-gray-500" },
+          String(entry.count)
+        )
+      );
+      if (entry.collection) {
+        item.appendChild(
+          this.createElement(
+            "button",
+            {
+              className:
+                "text-xs text-apple-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity",
+              title: `Delete collection "${entry.name}"`,
+              onclick: () => this.showCollectionDeleteModal(entry.collection),
+            },
+            "Delete"
+          )
+        );
+      }
+
+      // Cards dragged by their handle can be dropped on a collection
+      if (entry.dropTarget !== undefined) {
+        item.addEventListener("dragover", () => {
+          if (this.draggedClipId) item.classList.add("ring-2", "ring-blue-500");
+        });
+        item.addEventListener("dragleave", () => {
+          item.classList.remove("ring-2", "ring-blue-500");
+        });
+        item.addEventListener("drop", () => {
+          item.classList.remove("ring-2", "ring-blue-500");
+          if (this.draggedClipId) {
+            this.moveClipToCollection(this.draggedClipId, entry.dropTarget);
+          }
+        });
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  // Name of a collection, or null for the default
+  getCollectionName(collectionId) {
+    const collection = this.collections.find(
+      (other) => other.id === collectionId
+    );
+    return collection ? collection.name : null;
+  }
+
+  // Id of the collection with the given name, if any
+  getCollectionId(name) {
+    const collection = this.collections.find((other) => other.name === name);
+    return collection ? collection.id : undefined;
+  }
+
+  // Show the clips of a collection
+  selectCollection(key) {
+    this.currentCollection = key;
+    this.renderClips();
+  }
+
+  // Ask for a name and create a collection
+  async createCollection() {
+    const name = prompt("Collection name:");
+    if (!name || !name.trim()) return;
+    if (this.getCollectionId(name.trim()) !== undefined) {
+      this.showError(`Collection "${name.trim()}" already exists`);
+      return;
+    }
+
+    try {
+      const id = await this.db.saveCollection(name.trim());
+      await this.loadClips();
+      this.selectCollection(id);
+      this.showSuccess(`Collection "${name.trim()}" created`);
+    } catch (error) {
+      console.error("Collection error:", error);
+      this.showError("Failed to create collection");
+    }
+  }
+
+  // Move a clip into a collection; null moves it to the default
+  async moveClipToCollection(clipId, collectionId) {
+    const clip = this.clips.find((other) => other.id === clipId);
+    if (!clip || (clip.collectionId || null) === collectionId) return;
+
+    try {
+      await this.db.updateClip(clipId, { collectionId }, { touch: false });
+      await this.loadClips();
+      this.renderClips();
+      this.showSuccess(
+        `Moved to ${this.getCollectionName(collectionId) || "Default"}`
+      );
+    } catch (error) {
+      console.error("Move error:", error);
+      this.showError("Failed to move clip");
+    }
+  }
+
+  // Ask what happens to the clips of a collection before deleting it
+  showCollectionDeleteModal(collection) {
+    const count = this.clips.filter(
+      (clip) => clip.collectionId === collection.id
+    ).length;
+    this.deletingCollection = collection;
+    document.getElementById("collection-delete-message").textContent = `"${
+      collection.name
+    }" contains ${count} ${
+      count === 1 ? "clip" : "clips"
+    }. Move them to the default collection or delete them too?`;
+    this.openDialog("collection-delete-modal");
+  }
+
+  // Hide collection delete modal
+  hideCollectionDeleteModal() {
+    this.closeDialog("collection-delete-modal");
+    this.deletingCollection = null;
+  }
+
+  // Delete the collection chosen in the delete modal
+  async deleteCollection(deleteClips) {
+    const collection = this.deletingCollection;
+    if (!collection) return;
+
+    try {
+      await this.db.deleteCollection(collection.id, deleteClips);
+      if (this.currentCollection === collection.id) {
+        this.currentCollection = "all";
+      }
+      await this.loadClips();
+      this.renderClips();
+      this.hideCollectionDeleteModal();
+      this.showSuccess(`Collection "${collection.name}" deleted`);
+    } catch (error) {
+      console.error("Collection delete error:", error);
+      this.showError("Failed to delete collection");
+    }
+  }
+
+  // Render the tag sidebar with clip counts
+  renderTagPanel() {
+    const list = document.getElementById("tag-list");
+    list.innerHTML = "";
+    document
+      .getElementById("tag-list-empty")
+      .classList.toggle("hidden", this.tagCounts.length > 0);
+
+    this.tagCounts.forEach(({ tag, count }) => {
+      const active = this.tagFilter.includes(tag);
+      const item = this.createElement("li", {
+        className: `group flex items-center gap-2 px-2 py-1 rounded-lg hover:bg-apple-gray-100 dark:hover:bg-apple-gray-700 ${
+          active ? "bg-apple-gray-100 dark:bg-apple-gray-700 font-semibold" : ""
+        }`,
+      });
+
+      item.appendChild(
+        this.createElement("span", {
+          className: `w-2.5 h-2.5 rounded-full shrink-0 ${
+            this.getTagColor(tag).swatch
+          }`,
+        })
+      );
+      item.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "flex-1 min-w-0 truncate text-left text-sm text-apple-gray-700 dark:text-apple-gray-300",
+            title: active ? `Stop filtering by "${tag}"` : `Filter by "${tag}"`,
+            "aria-pressed": String(active),
+            onclick: () => this.toggleTagFilter(tag),
+          },
+          tag
+        )
+      );
+      item.appendChild(
+        this.createElement(
+          "span",
+          { className: "text-xs text-apple-gray-400 dark:text-apple-gray-500" },
+          String(count)
+        )
+      );
+      item.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "text-xs text-apple-gray-400 hover:text-blue-500 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity",
+            title: `Edit tag "${tag}"`,
+            onclick: () => this.showTagModal(tag),
+          },
+          "Edit"
+        )
+      );
+
+      list.appendChild(item);
+    });
+  }
+
+  // Show tag modal for renaming, merging, colouring or deleting a tag
+  showTagModal(tag) {
+    this.editingTag = tag;
+    document.getElementById("tag-modal-name").textContent = tag;
+    document.getElementById("tag-rename-input").value = tag;
+
+    const mergeSelect = document.getElementById("tag-merge-select");
+    mergeSelect.innerHTML = "";
+    mergeSelect.appendChild(
+      this.createElement("option", { value: "" }, "Don't merge")
+    );
+    this.tagCounts
+      .filter((entry) => entry.tag !== tag)
+      .forEach((entry) => {
+        mergeSelect.appendChild(
+          this.createElement("option", { value: entry.tag }, entry.tag)
+        );
+      });
+
+    const colorOptions = document.getElementById("tag-color-options");
+    colorOptions.innerHTML = "";
+    const currentColor = this.tagColors[tag] || "blue";
+    Object.entries(TAG_COLORS).forEach(([name, color]) => {
+      const label = this.createElement("label", {
+        className: "cursor-pointer",
+        title: name,
+      });
+      const radio = this.createElement("input", {
+        type: "radio",
+        name: "tag-color",
+        value: name,
+        className: "sr-only peer",
+      });
+      radio.checked = name === currentColor;
+      label.appendChild(radio);
+      label.appendChild(
+        this.createElement("span", {
+          className: `block w-6 h-6 rounded-full ${color.swatch} peer-checked:ring-2 peer-checked:ring-offset-2 peer-checked:ring-blue-500 dark:peer-checked:ring-offset-apple-gray-800`,
+        })
+      );
+      colorOptions.appendChild(label);
+    });
+
+    this.openDialog("tag-modal");
+    document.getElementById("tag-rename-input").focus();
+  }
+
+  // Hide tag modal
+  hideTagModal() {
+    this.closeDialog("tag-modal");
+    this.editingTag = null;
+  }
+
+  // Apply the rename, merge and colour chosen in the tag modal
+  async saveTag() {
+    const tag = this.editingTag;
+    const newName = normalizeTag(
+      document.getElementById("tag-rename-input").value
+    );
+    const mergeTarget = document.getElementById("tag-merge-select").value;
+    const color = document.querySelector(
+      'input[name="tag-color"]:checked'
+    ).value;
+    const target = mergeTarget || newName;
+
+    if (!target) {
+      this.showError("Please enter a tag name");
+      return;
+    }
+
+    const existing = this.tagCounts.some((entry) => entry.tag === target);
+    if (
+      target !== tag &&
+      existing &&
+      !mergeTarget &&
+      !confirm(`Tag "${target}" already exists. Merge "${tag}" into it?`)
+    ) {
+      return;
+    }
+
+    try {
+      if (target !== tag) {
+        await this.db.mergeTags(tag, target);
+        this.tagFilter = Array.from(
+          new Set(
+            this.tagFilter.map((selected) =>
+              selected === tag ? target : selected
+            )
+          )
+        );
+      }
+
+      // Merging keeps the target's own colour
+      if (!mergeTarget) {
+        const colors = await this.db.getSetting("tagColors", {});
+        if (color === "blue") {
+          delete colors[target];
+        } else {
+          colors[target] = color;
+        }
+        await this.db.setSetting("tagColors", colors);
+      }
+
+      await this.loadClips();
+      this.renderClips();
+      this.hideTagModal();
+      this.showSuccess(
+        target === tag
+          ? "Tag updated successfully"
+          : `Tag "${tag}" ${
+              mergeTarget || existing ? "merged into" : "renamed to"
+            } "${target}"`
+      );
+    } catch (error) {
+      console.error("Tag update error:", error);
+      this.showError("Failed to update tag");
+    }
+  }
+
+  // Remove the tag being edited from every clip
+  async deleteTag() {
+    const tag = this.editingTag;
+    if (!confirm(`Remove tag "${tag}" from all clips?`)) return;
+
+    try {
+      await this.db.deleteTag(tag);
+      this.tagFilter = this.tagFilter.filter((selected) => selected !== tag);
+      await this.loadClips();
+      this.renderClips();
+      this.hideTagModal();
+      this.showSuccess(`Tag "${tag}" deleted`);
+    } catch (error) {
+      console.error("Tag delete error:", error);
+      this.showError("Failed to delete tag");
+    }
+  }
+
+  // Create card footer with date and action button
+  createCardFooter(clip, date) {
+    const footer = this.createElement("div", {
+      className:
+        "flex items-center justify-between text-xs text-apple-gray-500 dark:text-apple-gray-400",
+    });
+
+    const dateSpan = this.createElement("span", {}, date);
+
+    let actionButton;
+    if (clip.type === "text") {
+      actionButton = this.createElement(
+        "button",
+        {
+          className:
+            "px-2 py-1 bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 rounded hover:bg-blue-200 dark:hover:bg-blue-800 transition-colors duration-200",
+          onclick: () => this.copyToClipboard(clip.content, clip),
+        },
+        this.getTemplateFields(clip.content).length > 0 ? "Fill & Copy" : "Copy"
+      );
+    } else if (clip.type === "image") {
+      const imageButton = (label, title, onclick) =>
+        this.createElement(
+          "button",
+          {
+            className:
+              "px-2 py-1 bg-green-100 dark:bg-green-900 text-green-700 dark:text-green-300 rounded hover:bg-green-200 dark:hover:bg-green-800 transition-colors duration-200",
+            title,
+            onclick,
+          },
+          label
+        );
+      actionButton = this.createElement("div", {
+        className: "flex items-center space-x-1",
+      });
+      actionButton.appendChild(
+        imageButton("Copy", "Copy the image", () => this.copyImage(clip))
+      );
+      actionButton.appendChild(
+        imageButton("Download", "Download under the original name", () =>
+          this.downloadImage(clip)
+        )
+      );
+      actionButton.appendChild(
+        imageButton("Convert", "Copy or download as PNG, JPEG or WebP", () =>
+          this.showConvertModal(clip)
+        )
+      );
+    } else if (clip.type === "file") {
+      actionButton = this.createElement(
+        "button",
+        {
+          className:
+            "px-2 py-1 bg-purple-100 dark:bg-purple-900 text-purple-700 dark:text-purple-300 rounded hover:bg-purple-200 dark:hover:bg-purple-800 transition-colors duration-200",
+          onclick: () =>
+            this.downloadFile(clip.content, clip.filename || `file-${clip.id}`),
+        },
+        "Download"
+      );
+    }
+
+    footer.appendChild(dateSpan);
+    if (clip.type === "text") {
+      const actions = this.createElement("div", {
+        className: "flex items-center space-x-1",
+      });
+      actions.appendChild(actionButton);
+      actions.appendChild(this.createTransformMenu(clip));
+      footer.appendChild(actions);
+    } else if (actionButton) {
+      footer.appendChild(actionButton);
+    }
+
+    return footer;
+  }
+
+  // Create the menu next to Copy that copies a transformed clip
+  createTransformMenu(clip) {
+    return this.createDropdown(
+      {
+        label: "▾",
+        title: "Copy transformed",
+        className:
+          "px-1.5 py-1 bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 rounded hover:bg-blue-200 dark:hover:bg-blue-800",
+        up: true,
+      },
+      (addItem, addHeading) => {
+        addHeading("Copy as");
+        Object.entries(TEXT_TRANSFORMS).forEach(([id, transform]) => {
+          addItem(transform.name, () => this.copyTransformed(clip, [id]));
+        });
+        if (this.transformChains.length > 0) {
+          addHeading("Saved chains");
+          this.transformChains.forEach((chain) => {
+            addItem(chain.name, () => this.copyTransformed(clip, chain.steps));
+          });
+        }
+        addHeading("More");
+        addItem("Build chain…", () => this.showTransformModal(clip));
+      }
+    );
+  }
+
+  // Copy a clip with transformations applied; the clip itself is unchanged
+  async copyTransformed(clip, steps) {
+    let text;
+    try {
+      text = applyTransforms(clip.content, steps);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+    await this.copyToClipboard(text);
+  }
+
+  // Show transform modal to build and preview a chain for a clip
+  showTransformModal(clip) {
+    this.transformClip = clip;
+    this.transformSteps = [];
+
+    const addSelect = document.getElementById("transform-add");
+    addSelect.innerHTML = "";
+    addSelect.appendChild(
+      this.createElement("option", { value: "" }, "Add a step…")
+    );
+    Object.entries(TEXT_TRANSFORMS).forEach(([id, transform]) => {
+      addSelect.appendChild(
+        this.createElement("option", { value: id }, transform.name)
+      );
+    });
+
+    this.renderTransformChains();
+    this.renderTransformSteps();
+    this.openDialog("transform-modal");
+  }
+
+  // Hide transform modal
+  hideTransformModal() {
+    this.closeDialog("transform-modal");
+    this.transformClip = null;
+    this.transformSteps = [];
+  }
+
+  // Fill the saved chain picker of the transform modal
+  renderTransformChains() {
+    const chainSelect = document.getElementById("transform-chain-select");
+    chainSelect.innerHTML = "";
+    chainSelect.appendChild(
+      this.createElement("option", { value: "" }, "Load saved chain…")
+    );
+    this.transformChains.forEach((chain, index) => {
+      chainSelect.appendChild(
+        this.createElement("option", { value: String(index) }, chain.name)
+      );
+    });
+    document.getElementById("transform-chain-delete").disabled =
+      this.transformChains.length === 0;
+  }
+
+  // List the chosen steps and preview their result
+  renderTransformSteps() {
+    const list = document.getElementById("transform-steps");
+    const preview = document.getElementById("transform-preview");
+    list.innerHTML = "";
+
+    this.transformSteps.forEach((step, index) => {
+      const item = this.createElement("li", {
+        className:
+          "flex items-center justify-between px-3 py-1.5 text-sm bg-apple-gray-50 dark:bg-apple-gray-700 text-apple-gray-700 dark:text-apple-gray-300 rounded-lg",
+      });
+      item.appendChild(
+        this.createElement(
+          "span",
+          {},
+          `${index + 1}. ${TEXT_TRANSFORMS[step].name}`
+        )
+      );
+      item.appendChild(
+        this.createElement(
+          "button",
+          {
+            className: "text-apple-gray-400 hover:text-red-500",
+            title: "Remove step",
+            "aria-label": `Remove ${TEXT_TRANSFORMS[step].name}`,
+            onclick: () => {
+              this.transformSteps.splice(index, 1);
+              this.renderTransformSteps();
+            },
+          },
+          "×"
+        )
+      );
+      list.appendChild(item);
+    });
+
+    try {
+      preview.textContent = applyTransforms(
+        this.transformClip.content,
+        this.transformSteps
+      );
+      preview.classList.remove("text-red-600", "dark:text-red-400");
+    } catch (error) {
+      preview.textContent = error.message;
+      preview.classList.add("text-red-600", "dark:text-red-400");
+    }
+  }
+
+  // Result of the chain in the transform modal, or null after an error
+  getTransformResult() {
+    try {
+      return applyTransforms(this.transformClip.content, this.transformSteps);
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    }
+  }
+
+  // Copy the result of the chain in the transform modal
+  async copyTransformResult() {
+    const text = this.getTransformResult();
+    if (text === null) return;
+    await this.copyToClipboard(text);
+    this.hideTransformModal();
+  }
+
+  // Save the result of the chain in the transform modal as a new clip
+  async saveTransformResult() {
+    const clip = this.transformClip;
+    const text = this.getTransformResult();
+    if (text === null) return;
+    if (!text.trim()) {
+      this.showError("The result is empty");
+      return;
+    }
+
+    try {
+      const result = await this.addClip({
+        type: "text",
+        content: text,
+        tags: clip.tags,
+        memo: clip.memo || "",
+        mimeType: "text/plain",
+      });
+      if (!result) return;
+
+      this.hideTransformModal();
+      await this.loadClips();
+      this.renderClips();
+      if (result === "saved") this.showSuccess("Saved as a new clip");
+    } catch (error) {
+      console.error("Save error:", error);
+      this.showError("Failed to save clip");
+    }
+  }
+
+  // Save the steps in the transform modal as a named chain
+  async saveTransformChain() {
+    if (this.transformSteps.length === 0) {
+      this.showError("Add at least one step first");
+      return;
+    }
+    const name = prompt("Chain name:");
+    if (!name || !name.trim()) return;
+
+    const chains = this.transformChains.filter(
+      (chain) => chain.name !== name.trim()
+    );
+    chains.push({ name: name.trim(), steps: [...this.transformSteps] });
+
+    try {
+      await this.db.setSetting("transformChains", chains);
+      this.transformChains = chains;
+      this.renderTransformChains();
+      this.renderClips();
+      this.showSuccess(`Chain "${name.trim()}" saved`);
+    } catch (error) {
+      console.error("Chain error:", error);
+      this.showError("Failed to save chain");
+    }
+  }
+
+  // Delete the chain chosen in the transform modal
+  async deleteTransformChain() {
+    const index = document.getElementById("transform-chain-select").value;
+    const chain = this.transformChains[index];
+    if (!chain) {
+      this.showError("Choose a saved chain first");
+      return;
+    }
+    if (!confirm(`Delete chain "${chain.name}"?`)) return;
+
+    try {
+      const chains = this.transformChains.filter((other) => other !== chain);
+      await this.db.setSetting("transformChains", chains);
+      this.transformChains = chains;
+      this.renderTransformChains();
+      this.renderClips();
+    } catch (error) {
+      console.error("Chain error:", error);
+      this.showError("Failed to delete chain");
+    }
+  }
+
+  // Open the matching modal pre-filled with an existing clip
+  editClip(clip) {
+    if (clip.type === "text") {
+      this.showTextModal(clip);
+    } else if (clip.type === "image") {
+      this.showImageModal(clip);
+    } else if (clip.type === "file") {
+      this.showFileModal(clip);
+    }
+  }
+
+  // Show text modal
+  async showTextModal(clip = null) {
+    this.clipboardUsed = false;
+    this.pastedHtml = null;
+    this.editingClip = clip;
+
+    if (clip) {
+      document.getElementById("text-modal-title").textContent = "Edit Text";
+      document.getElementById("text-content").value = clip.content;
+      this.textTagInput.setTags(clip.tags);
+      document.getElementById("text-memo").value = clip.memo || "";
+      document
+        .getElementById("text-rich-note")
+        .classList.toggle("hidden", !clip.html);
+      this.openDialog("text-modal");
+      document.getElementById("text-content").focus();
+      return;
+    }
+
+    // Try to read from clipboard
+    try {
+      const clipboardItems = await navigator.clipboard.read();
+      for (const clipboardItem of clipboardItems) {
+        // Check for text content, keeping the formatting if there is any
+        const { text, html } = await this.readClipboardText(clipboardItem);
+        if (text.trim()) {
+          document.getElementById("text-content").value = text;
+          this.clipboardUsed = true;
+          if (html) {
+            this.pastedHtml = { text: text.trim(), html };
+            document
+              .getElementById("text-rich-note")
+              .classList.remove("hidden");
+          }
+          break;
+        }
+      }
+    } catch {
+      // Fallback to readText for browsers that don't support read()
+      try {
+        const text = await navigator.clipboard.readText();
+        if (text.trim()) {
+          document.getElementById("text-content").value = text;
+          this.clipboardUsed = true;
+        }
+      } catch {
+        console.log("Clipboard access not available");
+      }
+    }
+
+    this.openDialog("text-modal");
+    document.getElementById("text-content").focus();
+  }
+
+  // Hide text modal
+  hideTextModal() {
+    this.closeDialog("text-modal");
+    document.getElementById("text-content").value = "";
+    this.textTagInput.clear();
+    document.getElementById("text-memo").value = "";
+    document.getElementById("text-modal-title").textContent = "Add Text";
+    document.getElementById("text-rich-note").classList.add("hidden");
+    this.clipboardUsed = false;
+    this.pastedHtml = null;
+    this.editingClip = null;
+  }
+
+  // Read the plain text of a clipboard item and its HTML, if any
+  // Resolves with { text, html }; text is "" when the item has none
+  async readClipboardText(clipboardItem) {
+    const read = async (type) =>
+      type && clipboardItem.types.includes(type)
+        ? (await clipboardItem.getType(type)).text()
+        : "";
+    const html = await read("text/html");
+    let text =
+      (await read("text/plain")) ||
+      (await read(
+        clipboardItem.types.find(
+          (type) => type.startsWith("text/") && type !== "text/html"
+        )
+      ));
+    if (!text && html) {
+      text = new DOMParser().parseFromString(html, "text/html").body
+        .textContent;
+    }
+    return { text, html: html.trim() ? html : null };
+  }
+
+  // Show image modal
+  async showImageModal(clip = null) {
+    this.clipboardImageUsed = false;
+    this.editingClip = clip;
+
+    if (clip) {
+      document.getElementById("image-modal-title").textContent = "Edit Image";
+      const image = this.getDisplayImage(clip);
+      const previewImg = document.getElementById("preview-img");
+      previewImg.classList.toggle("hidden", !image);
+      if (image) previewImg.src = this.createObjectUrl(image);
+      document
+        .getElementById("preview-img-unreadable")
+        .classList.toggle("hidden", Boolean(image));
+      document.getElementById("image-preview").classList.remove("hidden");
+      this.imageTagInput.setTags(clip.tags);
+      document.getElementById("image-memo").value = clip.memo || "";
+      this.openDialog("image-modal");
+      return;
+    }
+
+    // Try to read from clipboard
+    try {
+      const clipboardItems = await navigator.clipboard.read();
+      for (const clipboardItem of clipboardItems) {
+        // Check for image content
+        for (const type of clipboardItem.types) {
+          if (type.startsWith("image/")) {
+            const blob = await clipboardItem.getType(type);
+
+            // Create a File object from the blob
+            const file = new File(
+              [blob],
+              `clipboard-image.${type.split("/")[1]}`,
+              { type }
+            );
+
+            // Create a FileList-like object
+            const dataTransfer = new DataTransfer();
+            dataTransfer.items.add(file);
+
+            // Set the file input
+            document.getElementById("image-input").files = dataTransfer.files;
+
+            // Trigger preview
+            const event = { target: { files: [file] } };
+            this.previewImage(event);
+
+            this.clipboardImageUsed = true;
+            break;
+          }
+        }
+      }
+    } catch (error) {
+      console.log("Clipboard image access not available:", error);
+    }
+
+    this.openDialog("image-modal");
+  }
+
+  // Hide image modal
+  hideImageModal() {
+    this.closeDialog("image-modal");
+    document.getElementById("image-input").value = "";
+    this.imageTagInput.clear();
+    document.getElementById("image-memo").value = "";
+    document.getElementById("image-preview").classList.add("hidden");
+    document.getElementById("preview-img").classList.remove("hidden");
+    document.getElementById("preview-img-unreadable").classList.add("hidden");
+    document.getElementById("image-modal-title").textContent = "Add Image";
+    this.clipboardImageUsed = false;
+    this.editingClip = null;
+  }
+
+  // Preview image
+  previewImage(event) {
+    const file = event.target.files[0];
+    if (file) {
+      document.getElementById("preview-img").src = this.createObjectUrl(file);
+      document.getElementById("image-preview").classList.remove("hidden");
+    }
+  }
+
+  // Show file modal
+  showFileModal(clip = null) {
+    this.editingClip = clip;
+
+    if (clip) {
+      document.getElementById("file-modal-title").textContent = "Edit File";
+      this.showFileInfo({
+        name: clip.filename,
+        size: clip.filesize ?? clip.content.size,
+        type: clip.mimeType,
+      });
+      this.fileTagInput.setTags(clip.tags);
+      document.getElementById("file-memo").value = clip.memo || "";
+    }
+
+    this.openDialog("file-modal");
+  }
+
+  // Hide file modal
+  hideFileModal() {
+    this.closeDialog("file-modal");
+    document.getElementById("file-input").value = "";
+    this.fileTagInput.clear();
+    document.getElementById("file-memo").value = "";
+    document.getElementById("file-info").classList.add("hidden");
+    document.getElementById("file-modal-title").textContent = "Add File";
+    this.editingClip = null;
+  }
+
+  // Show the name, size and type of the chosen file
+  showFileInfo(file) {
+    const info = document.getElementById("file-info");
+    if (!file) {
+      info.classList.add("hidden");
+      return;
+    }
+    info.textContent = [
+      file.name || "Untitled file",
+      formatFileSize(file.size),
+      file.type,
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    info.classList.remove("hidden");
+  }
+
+  // Save file clip
+  async saveFileClip() {
+    const fileInput = document.getElementById("file-input");
+    const tags = this.fileTagInput.getTags();
+    const memo = document.getElementById("file-memo").value.trim();
+    const file = fileInput.files[0];
+
+    if (!this.editingClip && !file) {
+      this.showError("Please select a file");
+      return;
+    }
+
+    // Editing without picking a new file only changes the metadata
+    const patch = { tags, memo };
+    if (file) {
+      Object.assign(patch, {
+        content: fileToBlob(file),
+        filename: file.name,
+        filesize: file.size,
+        mimeType: file.type || "application/octet-stream",
+      });
+    }
+
+    try {
+      let result = "saved";
+      if (this.editingClip) {
+        await this.db.updateClip(this.editingClip.id, patch);
+      } else {
+        result = await this.addClip({ type: "file", ...patch });
+        if (!result) return;
+      }
+
+      await this.loadClips();
+      this.renderClips();
+      const message = this.editingClip
+        ? "File clip updated successfully"
+        : "File clip saved successfully";
+      this.hideFileModal();
+      if (result === "saved") this.showSuccess(message);
+    } catch (error) {
+      console.error("Save error:", error);
+      this.showError("Failed to save clip");
+    }
+  }
+
+  // Save text clip
+  async saveTextClip() {
+    const content = document.getElementById("text-content").value.trim();
+    const tags = this.textTagInput.getTags();
+    const memo = document.getElementById("text-memo").value.trim();
+
+    if (!content) {
+      this.showError("Please enter some text");
+      return;
+    }
+
+    if (this.editingClip) {
+      try {
+        const patch = {
+          content: content,
+          tags: tags,
+          memo: memo,
+          // Keep a chosen language; plain text clips are detected again
+          language:
+            this.editingClip.language ||
+            SyntaxHighlighter.detect(
+              content,
+              this.editingClip.filename,
+              this.editingClip.mimeType
+            ),
+        };
+        // The formatting no longer matches text that was changed
+        if (this.editingClip.html && content !== this.editingClip.content) {
+          patch.html = null;
+        }
+        await this.db.updateClip(this.editingClip.id, patch);
+
+        await this.loadClips();
+        this.renderClips();
+        this.hideTextModal();
+        this.showSuccess("Text clip updated successfully");
+      } catch (error) {
+        console.error("Update error:", error);
+        this.showError("Failed to update clip");
+      }
+      return;
+    }
+
+    try {
+      const result = await this.addClip({
+        type: "text",
+        content: content,
+        // Formatting from the clipboard is kept unless the text was changed
+        ...(this.pastedHtml?.text === content && {
+          html: this.pastedHtml.html,
+        }),
+        tags: tags,
+        memo: memo,
+        mimeType: "text/plain",
+      });
+      if (!result) return;
+
+      // Clear clipboard if it was used
+      if (this.clipboardUsed) {
+        try {
+          await navigator.clipboard.writeText("");
+          this.clipboardUsed = false;
+        } catch (error) {
+          console.log("Failed to clear clipboard:", error);
+        }
+      }
+
+      await this.loadClips();
+      this.renderClips();
+      this.hideTextModal();
+      if (result === "saved") this.showSuccess("Text clip saved successfully");
+    } catch (error) {
+      console.error("Save error:", error);
+      this.showError("Failed to save clip");
+    }
+  }
+
+  // Save image clip
+  async saveImageClip() {
+    const fileInput = document.getElementById("image-input");
+    const tags = this.imageTagInput.getTags();
+    const memo = document.getElementById("image-memo").value.trim();
+
+    // Editing without picking a new file only changes the metadata
+    if (this.editingClip && !fileInput.files[0]) {
+      try {
+        await this.db.updateClip(this.editingClip.id, { tags, memo });
+        await this.loadClips();
+        this.renderClips();
+        this.hideImageModal();
+        this.showSuccess("Image clip updated successfully");
+      } catch (error) {
+        console.error("Update error:", error);
+        this.showError("Failed to update clip");
+      }
+      return;
+    }
+
+    if (!fileInput.files[0]) {
+      this.showError("Please select an image file");
+      return;
+    }
+
+    try {
+      const file = fileInput.files[0];
+      const blob = fileToBlob(file);
+      const clipData = {
+        type: "image",
+        content: blob,
+        thumbnail: await this.createThumbnail(blob),
+        // Text is read again from the new picture
+        ocrText: null,
+        tags: tags,
+        memo: memo,
+        filename: file.name,
+        filesize: file.size,
+        mimeType: file.type,
+      };
+
+      let result = "saved";
+      if (this.editingClip) {
+        await this.db.updateClip(this.editingClip.id, clipData);
+      } else {
+        result = await this.addClip(clipData);
+        if (!result) return;
+      }
+
+      // Clear clipboard if it was used
+      if (this.clipboardImageUsed) {
+        try {
+          await navigator.clipboard.write([]);
+          this.clipboardImageUsed = false;
+        } catch (error) {
+          console.log("Failed to clear clipboard:", error);
+        }
+      }
+
+      await this.loadClips();
+      this.renderClips();
+      const message = this.editingClip
+        ? "Image clip updated successfully"
+        : "Image clip saved successfully";
+      this.hideImageModal();
+      if (result === "saved") this.showSuccess(message);
+    } catch (error) {
+      console.error("Save error:", error);
+      this.showError("Failed to save clip");
+    }
+  }
+
+  // Save a new clip into the open collection unless the same content is
+  // already stored; then the user picks merging the two or moving the
+  // existing clip to the top. Pass { ask: false } to always move it.
+  // Resolves with "saved", "merged", "moved" or null when cancelled
+  async addClip(clipData, { ask = true } = {}) {
+    if (clipData.type === "text" && clipData.language === undefined) {
+      clipData = {
+        ...clipData,
+        language: SyntaxHighlighter.detect(
+          clipData.content,
+          clipData.filename,
+          clipData.mimeType
+        ),
+      };
+    }
+    const contentHash = await hashContent(clipData.content);
+    const existing = (await this.db.getClipsByHash(contentHash)).find(
+      (clip) => clip.type === clipData.type
+    );
+
+    if (!existing) {
+      await this.db.saveClip({
+        ...clipData,
+        contentHash,
+        collectionId: this.getActiveCollectionId(),
+      });
+      return "saved";
+    }
+
+    const action = ask ? await this.askDuplicateAction(existing) : "move";
+    if (action === "merge") {
+      await this.mergeIntoClip(existing, clipData);
+      if (ask) this.showSuccess("Merged with the existing clip");
+      return "merged";
+    }
+    if (action === "move") {
+      await this.moveClipToTop(existing.id);
+      if (ask) this.showSuccess("Existing clip moved to the top");
+      return "moved";
+    }
+    return null;
+  }
+
+  // Add the tags and memo of a duplicate to an existing clip
+  async mergeIntoClip(existing, clipData) {
+    const tags = [...new Set([...existing.tags, ...(clipData.tags || [])])];
+    const memos = [existing.memo, clipData.memo].filter(Boolean);
+    const memo = [...new Set(memos)].join("\n");
+
+    if (
+      tags.length !== existing.tags.length ||
+      memo !== (existing.memo || "")
+    ) {
+      await this.db.updateClip(existing.id, { tags, memo });
+    }
+    await this.moveClipToTop(existing.id);
+  }
+
+  // Sort a clip as if it was just added, keeping its creation date
+  async moveClipToTop(id) {
+    await this.db.updateClip(
+      id,
+      { bumpedAt: new Date().toISOString() },
+      { touch: false }
+    );
+  }
+
+  // Date clips are sorted by: creation, or the last move to the top
+  getSortDate(clip) {
+    return new Date(clip.bumpedAt || clip.createdAt);
+  }
+
+  // Ask what to do with a new clip that duplicates an existing one
+  // Resolves with "merge", "move" or null
+  askDuplicateAction(existing) {
+    const preview =
+      existing.type !== "text"
+        ? `${existing.type} "${existing.filename || "untitled"}"`
+        : `text clip "${existing.content.slice(0, 80)}${
+            existing.content.length > 80 ? "…" : ""
+          }"`;
+    document.getElementById(
+      "duplicate-message"
+    ).textContent = `The same content is already saved as the ${preview}. Merge the new tags and note into it, or just move it to the top?`;
+    this.openDialog("duplicate-modal");
+
+    // A save started while the modal is already open replaces the earlier
+    // question, which is answered as cancelled so its save doesn't hang
+    if (this.duplicateResolve) this.duplicateResolve(null);
+
+    return new Promise((resolve) => {
+      this.duplicateResolve = resolve;
+    });
+  }
+
+  // Close the duplicate modal with the chosen action
+  resolveDuplicate(action) {
+    this.closeDialog("duplicate-modal");
+    if (this.duplicateResolve) {
+      this.duplicateResolve(action);
+      this.duplicateResolve = null;
+    }
+  }
+
+  // Group stored clips with identical content and show them for review
+  async showDuplicatesModal() {
+    const groups = new Map();
+    for (const clip of this.clips) {
+      const key = await this.getDuplicateKey(clip);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(clip);
+    }
+
+    // Suggest keeping pinned, then favourite, then the oldest copy
+    const rank = (clip) => (clip.pinned ? 0 : clip.favorite ? 1 : 2);
+    this.duplicateGroups = [...groups.values()]
+      .filter((group) => group.length > 1)
+      .map((group) =>
+        group.sort(
+          (a, b) =>
+            rank(a) - rank(b) || new Date(a.createdAt) - new Date(b.createdAt)
+        )
+      );
+
+    this.renderDuplicateGroups();
+    this.openDialog("duplicates-modal");
+  }
+
+  // Hide duplicates modal
+  hideDuplicatesModal() {
+    this.closeDialog("duplicates-modal");
+    document.getElementById("duplicates-list").innerHTML = "";
+    this.duplicateGroups = [];
+  }
+
+  // List each group of identical clips with a choice of the copy to keep
+  renderDuplicateGroups() {
+    const list = document.getElementById("duplicates-list");
+    const saveButton = document.getElementById("duplicates-modal-save");
+    list.innerHTML = "";
+    saveButton.disabled = this.duplicateGroups.length === 0;
+    saveButton.classList.toggle("opacity-50", saveButton.disabled);
+
+    if (this.duplicateGroups.length === 0) {
+      list.appendChild(
+        this.createElement(
+          "p",
+          { className: "text-sm text-apple-gray-500 dark:text-apple-gray-400" },
+          "No duplicate clips found."
+        )
+      );
+      return;
+    }
+
+    this.duplicateGroups.forEach((group, groupIndex) => {
+      const fieldset = this.createElement("fieldset", {
+        className:
+          "space-y-2 p-3 border border-apple-gray-200 dark:border-apple-gray-700 rounded-lg",
+      });
+      const first = group[0];
+      fieldset.appendChild(
+        this.createElement(
+          "legend",
+          {
+            className:
+              "px-1 text-sm font-medium text-apple-gray-700 dark:text-apple-gray-300",
+          },
+          first.type !== "text"
+            ? `${group.length} identical ${first.type}s`
+            : `${group.length} identical text clips: "${first.content.slice(
+                0,
+                60
+              )}${first.content.length > 60 ? "…" : ""}"`
+        )
+      );
+
+      group.forEach((clip, clipIndex) => {
+        const label = this.createElement("label", {
+          className:
+            "flex items-center space-x-2 text-sm text-apple-gray-700 dark:text-apple-gray-300",
+        });
+        const radio = this.createElement("input", {
+          type: "radio",
+          name: `duplicate-group-${groupIndex}`,
+          value: String(clip.id),
+        });
+        radio.checked = clipIndex === 0;
+
+        const details = [
+          clip.filename,
+          `added ${new Date(clip.createdAt).toLocaleString()}`,
+          this.getCollectionName(clip.collectionId),
+          clip.pinned ? "pinned" : null,
+          clip.favorite ? "favourite" : null,
+          clip.tags.length > 0 ? `tags: ${clip.tags.join(", ")}` : null,
+        ].filter(Boolean);
+
+        label.appendChild(radio);
+        label.appendChild(
+          this.createElement(
+            "span",
+            {},
+            `Keep #${clip.id} (${details.join(", ")})`
+          )
+        );
+        fieldset.appendChild(label);
+      });
+
+      list.appendChild(fieldset);
+    });
+  }
+
+  // Keep the chosen copy of every group and delete the others
+  // Tags of the deleted copies are added to the one that is kept
+  async resolveDuplicateGroups() {
+    let removed = 0;
+
+    try {
+      for (const [groupIndex, group] of this.duplicateGroups.entries()) {
+        const checked = document.querySelector(
+          `input[name="duplicate-group-${groupIndex}"]:checked`
+        );
+        const keep = group.find((clip) => String(clip.id) === checked.value);
+        const others = group.filter((clip) => clip !== keep);
+
+        const tags = [
+          ...new Set([keep, ...others].flatMap((clip) => clip.tags)),
+        ];
+        if (tags.length !== keep.tags.length) {
+          await this.db.updateClip(keep.id, { tags });
+        }
+        for (const clip of others) {
+          await this.db.deleteClip(clip.id);
+          removed++;
+        }
+      }
+
+      this.hideDuplicatesModal();
+      await this.loadClips();
+      this.renderClips();
+      this.showSuccess(`Removed ${removed} duplicate clips`);
+    } catch (error) {
+      console.error("Deduplicate error:", error);
+      this.showError("Failed to remove duplicates");
+    }
+  }
+
+  // Delete clip
+  async deleteClip(id) {
+    if (!confirm("Are you sure you want to delete this clip?")) return;
+
+    try {
+      await this.db.deleteClip(id);
+      await this.loadClips();
+      this.renderClips();
+      this.showSuccess("Clip deleted successfully");
+    } catch (error) {
+      console.error("Delete error:", error);
+      this.showError("Failed to delete clip");
+    }
+  }
+
+  // Copy to clipboard
+  // When copying a clip, {{placeholders}} are filled in first: built-in
+  // ones automatically, the others through the template form
+  async copyToClipboard(content, clip = null) {
+    if (clip && getTemplatePlaceholders(content).length > 0) {
+      const builtins = await this.getBuiltinValues(content);
+      if (this.getTemplateFields(content).length > 0) {
+        this.showTemplateModal(clip, builtins);
+        return;
+      }
+      content = fillTemplate(content, builtins);
+    }
+
+    try {
+      // Rich clips are copied with their formatting unless the text was
+      // changed on the way, e.g. by filling in a template
+      if (
+        clip?.html &&
+        content === clip.content &&
+        typeof ClipboardItem !== "undefined"
+      ) {
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            "text/plain": new Blob([content], { type: "text/plain" }),
+            "text/html": new Blob([clip.html], { type: "text/html" }),
+          }),
+        ]);
+      } else {
+        await navigator.clipboard.writeText(content);
+      }
+      // Copying a clip shouldn't make automatic capture save it again
+      this.lastCaptureKey = await this.getDuplicateKey({
+        type: "text",
+        content,
+      });
+      this.showSuccess("Copied to clipboard successfully");
+    } catch (error) {
+      console.error("Copy error:", error);
+      this.showError("Failed to copy to clipboard");
+    }
+  }
+
+  // Placeholders of a template that have to be filled in by hand
+  getTemplateFields(content) {
+    return getTemplatePlaceholders(content).filter(
+      (name) => !BUILTIN_PLACEHOLDERS.includes(name)
+    );
+  }
+
+  // Values of the built-in placeholders used in a template
+  async getBuiltinValues(content) {
+    const names = getTemplatePlaceholders(content);
+    const now = new Date();
+    const pad = (number) => String(number).padStart(2, "0");
+    const values = {
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(
+        now.getDate()
+      )}`,
+      time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+    };
+
+    if (names.includes("clipboard")) {
+      try {
+        values.clipboard = await navigator.clipboard.readText();
+      } catch (error) {
+        console.log("Failed to read clipboard:", error);
+        values.clipboard = "";
+      }
+    }
+    return values;
+  }
+
+  // Show the form for the placeholders of a template clip
+  showTemplateModal(clip, builtins) {
+    this.templateClip = clip;
+    this.templateBuiltins = builtins;
+    const remembered = clip.templateValues || {};
+    const fields = document.getElementById("template-fields");
+    fields.innerHTML = "";
+
+    this.getTemplateFields(clip.content).forEach((name, index) => {
+      const id = `template-field-${index}`;
+      const field = this.createElement("div");
+      field.appendChild(
+        this.createElement(
+          "label",
+          {
+            for: id,
+            className:
+              "block text-sm font-medium text-apple-gray-700 dark:text-apple-gray-300 mb-2",
+          },
+          name
+        )
+      );
+      const input = this.createElement("input", {
+        type: "text",
+        id,
+        "data-placeholder": name,
+        className:
+          "w-full px-4 py-2 border border-apple-gray-300 dark:border-apple-gray-600 rounded-lg bg-white dark:bg-apple-gray-700 text-apple-gray-900 dark:text-apple-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent",
+      });
+      input.value = Object.hasOwn(remembered, name) ? remembered[name] : "";
+      input.addEventListener("input", () => this.updateTemplatePreview());
+      field.appendChild(input);
+      fields.appendChild(field);
+    });
+
+    this.updateTemplatePreview();
+    this.openDialog("template-modal");
+    fields.querySelector("input").focus();
+  }
+
+  // Hide template modal
+  hideTemplateModal() {
+    this.closeDialog("template-modal");
+    document.getElementById("template-fields").innerHTML = "";
+    this.templateClip = null;
+    this.templateBuiltins = {};
+  }
+
+  // Values typed into the template form, by placeholder name
+  // Without a prototype, a placeholder named __proto__ is a plain key
+  getTemplateValues() {
+    const values = Object.create(null);
+    document
+      .querySelectorAll("#template-fields input[data-placeholder]")
+      .forEach((input) => {
+        values[input.getAttribute("data-placeholder")] = input.value;
+      });
+    return values;
+  }
+
+  // Show the filled template below the form
+  updateTemplatePreview() {
+    document.getElementById("template-preview").textContent = fillTemplate(
+      this.templateClip.content,
+      { ...this.templateBuiltins, ...this.getTemplateValues() }
+    );
+  }
+
+  // Copy the filled template and remember the values for next time
+  async copyTemplate() {
+    const clip = this.templateClip;
+    if (!clip) return;
+    const values = this.getTemplateValues();
+
+    await this.copyToClipboard(
+      fillTemplate(clip.content, { ...this.templateBuiltins, ...values })
+    );
+    this.hideTemplateModal();
+
+    try {
+      await this.db.updateClip(
+        clip.id,
+        { templateValues: { ...clip.templateValues, ...values } },
+        { touch: false }
+      );
+      await this.loadClips();
+    } catch (error) {
+      console.error("Template error:", error);
+    }
+  }
+
+  // Show revision history of a text clip
+  async showHistory(clip) {
+    try {
+      const revisions = await this.db.getRevisions(clip.id);
+      this.historyClip = clip;
+      this.historyVersions = [
+        { ...clip, label: "Current version" },
+        ...revisions.map((revision) => ({
+          ...revision,
+          label: `Saved ${new Date(revision.createdAt).toLocaleString(
+            "en-US"
+          )}`,
+        })),
+      ];
+    } catch (error) {
+      console.error("History loading error:", error);
+      this.showError("Failed to load history");
+      return;
+    }
+
+    const baseSelect = document.getElementById("history-base-select");
+    const targetSelect = document.getElementById("history-target-select");
+    [baseSelect, targetSelect].forEach((select) => {
+      select.innerHTML = "";
+      this.historyVersions.forEach((version, index) => {
+        select.appendChild(
+          this.createElement("option", { value: index }, version.label)
+        );
+      });
+    });
+
+    // Compare the latest revision with the current version by default
+    baseSelect.value = this.historyVersions.length > 1 ? "1" : "0";
+    targetSelect.value = "0";
+
+    this.renderHistoryDiff();
+    this.openDialog("history-modal");
+  }
+
+  // Hide history modal
+  hideHistory() {
+    this.closeDialog("history-modal");
+    document.getElementById("history-diff").innerHTML = "";
+    this.revokeHistoryUrls();
+    this.historyClip = null;
+    this.historyVersions = [];
+  }
+
+  // Release the object URLs of compared image versions
+  revokeHistoryUrls() {
+    this.historyUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.historyUrls = [];
+  }
+
+  // Show two image versions side by side
+  renderHistoryImages(base, target) {
+    const diffContainer = document.getElementById("history-diff");
+    this.revokeHistoryUrls();
+
+    const grid = this.createElement("div", {
+      className: "grid grid-cols-2 gap-3 px-3",
+    });
+    [base, target].forEach((version) => {
+      const figure = this.createElement("figure", {
+        className: "flex flex-col items-center gap-1",
+      });
+      const image = this.getDisplayImage(version);
+      if (image) {
+        const url = URL.createObjectURL(image);
+        this.historyUrls.push(url);
+        figure.appendChild(
+          this.createElement("img", {
+            src: url,
+            alt: version.label,
+            className:
+              "max-h-64 object-contain rounded border border-apple-gray-200 dark:border-apple-gray-600",
+          })
+        );
+      } else {
+        figure.appendChild(this.createUnreadableImage("w-full h-64"));
+      }
+      figure.appendChild(
+        this.createElement(
+          "figcaption",
+          {
+            className:
+              "text-xs font-sans text-apple-gray-500 dark:text-apple-gray-400",
+          },
+          version.label
+        )
+      );
+      grid.appendChild(figure);
+    });
+    diffContainer.appendChild(grid);
+  }
+
+  // Render the line diff between the two selected versions
+  renderHistoryDiff() {
+    const base =
+      this.historyVersions[
+        document.getElementById("history-base-select").value
+      ];
+    const target =
+      this.historyVersions[
+        document.getElementById("history-target-select").value
+      ];
+    const diffContainer = document.getElementById("history-diff");
+    const meta = document.getElementById("history-meta");
+    const restoreButton = document.getElementById("history-restore-btn");
+
+    if (!base || !target) return;
+
+    diffContainer.innerHTML = "";
+    if (this.historyClip.type === "image") {
+      this.renderHistoryImages(base, target);
+    } else {
+      this.renderHistoryLines(base, target);
+    }
+
+    // Summarise tag and memo changes below the content diff
+    const changes = [];
+    if (base.tags.join(", ") !== target.tags.join(", ")) {
+      changes.push(
+        `Tags: ${base.tags.join(", ") || "(none)"} → ${
+          target.tags.join(", ") || "(none)"
+        }`
+      );
+    }
+    if ((base.memo || "") !== (target.memo || "")) {
+      changes.push(
+        `Note: ${base.memo || "(none)"} → ${target.memo || "(none)"}`
+      );
+    }
+    meta.textContent = changes.join("\n");
+    meta.classList.toggle("hidden", changes.length === 0);
+
+    // Only older versions can be restored
+    restoreButton.disabled = base === this.historyVersions[0];
+    restoreButton.classList.toggle("opacity-50", restoreButton.disabled);
+  }
+
+  // Show a line diff between two text versions
+  renderHistoryLines(base, target) {
+    const diffContainer = document.getElementById("history-diff");
+    const lineStyles = {
+      same: "text-apple-gray-700 dark:text-apple-gray-300",
+      add: "bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200",
+      remove: "bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200",
+    };
+    const prefixes = { same: "  ", add: "+ ", remove: "- " };
+
+    const lines = this.diffLines(base.content, target.content);
+    if (!lines) {
+      diffContainer.appendChild(
+        this.createElement(
+          "p",
+          {
+            className:
+              "px-3 font-sans text-sm text-apple-gray-500 dark:text-apple-gray-400",
+          },
+          "These versions differ in too many lines to compare."
+        )
+      );
+      return;
+    }
+
+    lines.forEach((line) => {
+      diffContainer.appendChild(
+        this.createElement(
+          "div",
+          { className: `px-3 whitespace-pre-wrap ${lineStyles[line.type]}` },
+          prefixes[line.type] + line.text
+        )
+      );
+    });
+  }
+
+  // Compute a line diff using the longest common subsequence. Returns
+  // null when the changed part is too large for the LCS table
+  diffLines(oldText, newText) {
+    const allOld = oldText.split("\n");
+    const allNew = newText.split("\n");
+
+    // Unchanged lines at the start and end don't need the table
+    let start = 0;
+    while (
+      start < allOld.length &&
+      start < allNew.length &&
+      allOld[start] === allNew[start]
+    ) {
+      start++;
+    }
+    let end = 0;
+    while (
+      end < allOld.length - start &&
+      end < allNew.length - start &&
+      allOld[allOld.length - 1 - end] === allNew[allNew.length - 1 - end]
+    ) {
+      end++;
+    }
+
+    const oldLines = allOld.slice(start, allOld.length - end);
+    const newLines = allNew.slice(start, allNew.length - end);
+    const rows = oldLines.length;
+    const cols = newLines.length;
+    if ((rows + 1) * (cols + 1) > MAX_DIFF_CELLS) return null;
+
+    // lengths[i][j] = LCS length of oldLines[i:] and newLines[j:]
+    const lengths = Array.from({ length: rows + 1 }, () =>
+      new Array(cols + 1).fill(0)
+    );
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i][j] =
+          oldLines[i] === newLines[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const result = allOld
+      .slice(0, start)
+      .map((text) => ({ type: "same", text }));
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldLines[i] === newLines[j]) {
+        result.push({ type: "same", text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        result.push({ type: "remove", text: oldLines[i++] });
+      } else {
+        result.push({ type: "add", text: newLines[j++] });
+      }
+    }
+    while (i < rows) result.push({ type: "remove", text: oldLines[i++] });
+    while (j < cols) result.push({ type: "add", text: newLines[j++] });
+    allOld
+      .slice(allOld.length - end)
+      .forEach((text) => result.push({ type: "same", text }));
+
+    return result;
+  }
+
+  // Restore the version selected on the left side of the diff
+  async restoreSelectedRevision() {
+    const base =
+      this.historyVersions[
+        document.getElementById("history-base-select").value
+      ];
+    if (!base || base === this.historyVersions[0]) return;
+
+    try {
+      await this.db.restoreRevision(base);
+      await this.loadClips();
+      this.renderClips();
+      this.hideHistory();
+      this.showSuccess("Revision restored successfully");
+    } catch (error) {
+      console.error("Restore error:", error);
+      this.showError("Failed to restore revision");
+    }
+  }
+
+  // Save a Blob to the downloads folder under the given name
+  saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.download = filename;
+    link.href = url;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  // Download an image clip under its original name, converted first when
+  // a { type, quality } conversion is given
+  async downloadImage(clip, conversion = null) {
+    try {
+      const blob = conversion
+        ? await this.convertImage(clip.content, conversion)
+        : clip.content;
+      this.saveBlob(blob, this.getImageFilename(clip, blob.type));
+      this.showSuccess("Image downloaded successfully");
+    } catch (error) {
+      console.error("Download error:", error);
+      this.showError("Failed to download image");
+    }
+  }
+
+  // Name for a downloaded image; the extension follows the format, so a
+  // converted copy of "photo.png" becomes "photo.jpg"
+  getImageFilename(clip, mimeType) {
+    if (clip.filename && mimeType === clip.content.type) return clip.filename;
+    const name = clip.filename
+      ? clip.filename.replace(/\.[^.]*$/, "")
+      : `image-${clip.id}`;
+    return `${name}.${getImageExtension(mimeType)}`;
+  }
+
+  // Download a file clip under its original name
+  downloadFile(blob, filename) {
+    this.saveBlob(blob, filename);
+    this.showSuccess("File downloaded successfully");
+  }
+
+  // Copy an image clip to the clipboard, converted first when a
+  // { type, quality } conversion is given
+  async copyImage(clip, conversion = null) {
+    try {
+      let blob = conversion
+        ? await this.convertImage(clip.content, conversion)
+        : clip.content;
+      // PNG is the only image format every browser puts on the clipboard
+      if (blob.type !== "image/png" && !ClipboardItem.supports?.(blob.type)) {
+        blob = await this.convertImage(blob, { type: "image/png" });
+      }
+      await navigator.clipboard.write([
+        new ClipboardItem({ [blob.type]: blob }),
+      ]);
+      // Copying a clip shouldn't make automatic capture save it again
+      this.lastCaptureKey = await this.getDuplicateKey({
+        type: "image",
+        content: blob,
+      });
+      this.showSuccess("Image copied to clipboard");
+    } catch (error) {
+      console.error("Copy error:", error);
+      this.showError("Failed to copy image");
+    }
+  }
+
+  // Re-encode an image on a canvas as PNG, JPEG or WebP at full size
+  // Browsers that can't encode the format fall back to PNG
+  async convertImage(
+    blob,
+    { type, quality = DEFAULT_IMAGE_CONVERSION.quality }
+  ) {
+    const image = await this.loadImage(blob);
+    const canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext("2d");
+    // JPEG has no transparency, so see-through pixels turn white, not black
+    if (type === "image/jpeg") {
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(image, 0, 0);
+
+    const converted = await new Promise((resolve) =>
+      canvas.toBlob(resolve, type, quality)
+    );
+    if (!converted) throw new Error("Failed to encode image");
+    return converted;
+  }
+
+  // Show the convert modal for an image clip
+  showConvertModal(clip) {
+    this.convertClip = clip;
+    document.getElementById("convert-format").value = this.imageConversion.type;
+    document.getElementById("convert-quality").value = Math.round(
+      this.imageConversion.quality * 100
+    );
+    this.updateConvertPreview();
+    this.openDialog("convert-modal");
+  }
+
+  // Hide convert modal
+  hideConvertModal() {
+    this.closeDialog("convert-modal");
+    this.convertClip = null;
+  }
+
+  // Format and quality chosen in the convert modal
+  getConversion() {
+    return {
+      type: document.getElementById("convert-format").value,
+      quality: Number(document.getElementById("convert-quality").value) / 100,
+    };
+  }
+
+  // Show how large the image gets in the chosen format
+  async updateConvertPreview() {
+    const clip = this.convertClip;
+    if (!clip) return;
+
+    const conversion = this.getConversion();
+    const quality = document.getElementById("convert-quality");
+    quality.disabled = conversion.type === "image/png";
+    document.getElementById(
+      "convert-quality-value"
+    ).textContent = `${quality.value}%`;
+
+    const info = document.getElementById("convert-info");
+    info.textContent = "Converting…";
+    // Only the latest conversion is shown when settings change quickly
+    const run = ++this.convertRun;
+    try {
+      const blob = await this.convertImage(clip.content, conversion);
+      if (run !== this.convertRun) return;
+      info.textContent = `${formatFileSize(
+        clip.content.size
+      )} → ${formatFileSize(blob.size)}`;
+      if (blob.type !== conversion.type) {
+        info.textContent += ` (this browser can't create ${
+          IMAGE_FORMATS[conversion.type]
+        } images, PNG is used instead)`;
+      }
+    } catch (error) {
+      if (run !== this.convertRun) return;
+      console.error("Conversion error:", error);
+      info.textContent = "This image can't be converted";
+    }
+  }
+
+  // Copy or download the image of the convert modal in the chosen format,
+  // which is remembered for next time
+  async applyConversion(action) {
+    const clip = this.convertClip;
+    this.imageConversion = this.getConversion();
+    this.hideConvertModal();
+
+    try {
+      await this.db.setSetting("imageConversion", this.imageConversion);
+    } catch (error) {
+      console.error("Settings error:", error);
+    }
+
+    if (action === "copy") {
+      await this.copyImage(clip, this.imageConversion);
+    } else {
+      await this.downloadImage(clip, this.imageConversion);
+    }
+  }
+
+  // Pin a clip to the top of the grid, or unpin it
+  async togglePin(clip) {
+    const pinOrders = this.clips
+      .filter((other) => other.pinned)
+      .map((other) => other.pinOrder);
+    const patch = clip.pinned
+      ? { pinned: false, pinOrder: null }
+      : { pinned: true, pinOrder: Math.max(-1, ...pinOrders) + 1 };
+
+    try {
+      await this.db.updateClip(clip.id, patch, { touch: false });
+      await this.loadClips();
+      this.renderClips();
+    } catch (error) {
+      console.error("Pin error:", error);
+      this.showError("Failed to update clip");
+    }
+  }
+
+  // Mark a clip as favourite, or remove the mark
+  async toggleFavorite(clip) {
+    try {
+      await this.db.updateClip(
+        clip.id,
+        { favorite: !clip.favorite },
+        { touch: false }
+      );
+      await this.loadClips();
+      this.renderClips();
+    } catch (error) {
+      console.error("Favourite error:", error);
+      this.showError("Failed to update clip");
+    }
+  }
+
+  // Start dragging a clip from its card handle
+  // Cards can be dropped on a collection, pinned cards also on other pins
+  bindCardDragHandle(handle, clip) {
+    handle.addEventListener("dragstart", (e) => {
+      const card = handle.closest("[data-clip-id]");
+      this.draggedClipId = clip.id;
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", String(clip.id));
+      e.dataTransfer.setDragImage(card, 16, 16);
+      card.classList.add("opacity-50");
+    });
+    handle.addEventListener("dragend", () => {
+      this.draggedClipId = null;
+      handle.closest("[data-clip-id]").classList.remove("opacity-50");
+    });
   }
 
-  // Show image modal
-  async showImageModal() {
-    this.clipboardImageUsed = false;
+  // Let a pinned card receive another pinned card to reorder pins
+  bindPinnedDropTarget(card, clip) {
+    const canDrop = () => {
+      const dragged = this.clips.find(
+        (other) => other.id === this.draggedClipId
+      );
+      return dragged && dragged.pinned && dragged.id !== clip.id;
+    };
+
+    card.addEventListener("dragover", () => {
+      if (canDrop()) card.classList.add("ring-2", "ring-blue-500");
+    });
+    card.addEventListener("dragleave", () => {
+      card.classList.remove("ring-2", "ring-blue-500");
+    });
+    card.addEventListener("drop", () => {
+      card.classList.remove("ring-2", "ring-blue-500");
+      if (canDrop()) this.movePinnedClip(this.draggedClipId, clip.id);
+    });
+  }
+
+  // Move a pinned clip to the position of another pinned clip
+  async movePinnedClip(draggedId, targetId) {
+    const order = this.clips
+      .filter((clip) => clip.pinned)
+      .sort((a, b) => a.pinOrder - b.pinOrder)
+      .map((clip) => clip.id);
+    const from = order.indexOf(draggedId);
+    const to = order.indexOf(targetId);
+    if (from === -1 || to === -1) return;
+
+    order.splice(from, 1);
+    order.splice(to, 0, draggedId);
 
-    // Try to read from clipboard
     try {
-      const clipboardItems = await navigator.clipboard.read();
-      for (const clipboardItem of clipboardItems) {
-        // Check for image content
-        for (const type of clipboardItem.types) {
-          if (type.startsWith("image/")) {
-            const blob = await clipboardItem.getType(type);
+      await this.db.reorderPinnedClips(order);
+      await this.loadClips();
+      this.renderClips();
+    } catch (error) {
+      console.error("Reorder error:", error);
+      this.showError("Failed to reorder pinned clips");
+    }
+  }
 
-            // Create a File object from the blob
-            const file = new File(
-              [blob],
-              `clipboard-image.${type.split("/")[1]}`,
-              { type }
-            );
+  // Handle search
+  handleSearch(query) {
+    this.currentSearch = query;
+    this.renderClips();
+  }
 
-            // Create a FileList-like object
-            const dataTransfer = new DataTransfer();
-            dataTransfer.items.add(file);
+  // Toggle typo-tolerant search
+  handleFuzzyToggle(enabled) {
+    this.fuzzySearch = enabled;
+    this.renderClips();
+  }
 
-            // Set the file input
-            document.getElementById("image-input").files = dataTransfer.files;
+  // Handle tag click: add the tag to the tag filter
+  searchByTag(tag) {
+    if (!this.tagFilter.includes(tag)) {
+      this.toggleTagFilter(tag);
+    }
+  }
 
-            // Trigger preview
-            const event = { target: { files: [file] } };
-            this.previewImage(event);
+  // Add or remove a tag from the tag filter
+  toggleTagFilter(tag) {
+    this.tagFilter = this.tagFilter.includes(tag)
+      ? this.tagFilter.filter((selected) => selected !== tag)
+      : [...this.tagFilter, tag];
+    this.renderClips();
+  }
 
-            this.clipboardImageUsed = true;
-            break;
-          }
-        }
-      }
-    } catch (error) {
-      console.log("Clipboard image access not available:", error);
+  // Switch between matching all selected tags and any of them
+  toggleTagFilterMode() {
+    this.tagFilterMode = this.tagFilterMode === "all" ? "any" : "all";
+    this.renderClips();
+  }
+
+  // Reset search, tag and category filters
+  clearFilters() {
+    document.getElementById("search-input").value = "";
+    document.getElementById("category-filter").value = "";
+    this.currentSearch = "";
+    this.currentFilter = "";
+    this.tagFilter = [];
+    this.renderClips();
+  }
+
+  // Render the active filters as removable chips in the filter bar
+  renderActiveFilters() {
+    const bar = document.getElementById("active-filters");
+    bar.innerHTML = "";
+
+    const chips = [];
+    if (this.currentSearch.trim()) {
+      chips.push({
+        label: `Search: ${this.currentSearch.trim()}`,
+        className: TAG_COLORS.gray.chip,
+        remove: () => {
+          document.getElementById("search-input").value = "";
+          this.handleSearch("");
+        },
+      });
+    }
+    if (this.currentFilter) {
+      const select = document.getElementById("category-filter");
+      chips.push({
+        label: `Category: ${select.options[select.selectedIndex].text}`,
+        className: TAG_COLORS.gray.chip,
+        remove: () => {
+          select.value = "";
+          this.handleFilter("");
+        },
+      });
+    }
+    this.tagFilter.forEach((tag) => {
+      chips.push({
+        label: tag,
+        className: this.getTagColor(tag).chip,
+        remove: () => this.toggleTagFilter(tag),
+      });
+    });
+
+    bar.classList.toggle("hidden", chips.length === 0);
+    if (chips.length === 0) return;
+
+    chips.forEach((chip) => {
+      const element = this.createElement(
+        "span",
+        {
+          className: `inline-flex items-center gap-1 pl-2 pr-1 py-0.5 text-xs rounded-full ${chip.className}`,
+        },
+        chip.label
+      );
+      element.appendChild(
+        this.createElement(
+          "button",
+          {
+            className: "w-4 h-4 leading-none rounded-full hover:bg-black/10",
+            "aria-label": `Remove filter ${chip.label}`,
+            onclick: chip.remove,
+          },
+          "×"
+        )
+      );
+      bar.appendChild(element);
+    });
+
+    // The match mode only matters with several tags selected
+    if (this.tagFilter.length > 1) {
+      bar.appendChild(
+        this.createElement(
+          "button",
+          {
+            className:
+              "px-2 py-0.5 text-xs border border-apple-gray-300 dark:border-apple-gray-600 rounded-full text-apple-gray-700 dark:text-apple-gray-300 hover:bg-apple-gray-100 dark:hover:bg-apple-gray-700",
+            title: "Switch between matching all and any of the selected tags",
+            onclick: () => this.toggleTagFilterMode(),
+          },
+          this.tagFilterMode === "all" ? "Match: all tags" : "Match: any tag"
+        )
+      );
     }
 
-    document.getElementById("image-modal").classList.remove("hidden");
+    bar.appendChild(
+      this.createElement(
+        "button",
+        {
+          className:
+            "text-xs text-apple-gray-500 dark:text-apple-gray-400 hover:text-blue-500 ml-1",
+          onclick: () => this.clearFilters(),
+        },
+        "Clear all"
+      )
+    );
   }
 
-  // Hide image modal
-  hideImageModal() {
-    document.getElementById("image-modal").classList.add("hidden");
-    document.getElementById("image-input").value = "";
-    document.getElementById("image-tags").value = "";
-    document.getElementById("image-memo").value = "";
-    document.getElementById("image-preview").classList.add("hidden");
-    this.clipboardImageUsed = false;
+  // Handle filter
+  handleFilter(filter) {
+    this.currentFilter = filter;
+    this.renderClips();
   }
 
-  // Preview image
-  previewImage(event) {
-    const file = event.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        document.getElementById("preview-img").src = e.target.result;
-        document.getElementById("image-preview").classList.remove("hidden");
-      };
-      reader.readAsDataURL(file);
+  // Handle sort
+  handleSort(sort) {
+    this.currentSort = sort;
+    this.renderClips();
+  }
+
+  // Run the command bound to the pressed keys
+  handleKeyboard(event) {
+    if (this.recordingCommand) {
+      this.recordBinding(event);
+      return;
     }
+    if (event.key === "Tab" && this.trapFocus(event)) return;
+
+    const binding = getEventBinding(event);
+    const typing = this.isEditable(event.target);
+    // Clip and filter shortcuts would act on the page behind an open dialog
+    const inDialog =
+      this.dialogStack.length > 0 ||
+      Boolean(event.target.closest?.("[role=dialog]"));
+    const id = Object.keys(COMMANDS).find(
+      (commandId) =>
+        (!typing || COMMANDS[commandId].typing) &&
+        (!inDialog || COMMANDS[commandId].dialog) &&
+        matchesBinding(this.getBinding(commandId), binding)
+    );
+    // Keys of commands that don't apply right now keep their usual effect
+    if (id && this.runCommand(id)) event.preventDefault();
   }
 
-  // Save text clip
-  async saveTextClip() {
-    const content = document.getElementById("text-content").value.trim();
-    const tags = document
-      .getElementById("text-tags")
-      .value.split(",")
-      .map((tag) => tag.trim())
-      .filter((tag) => tag);
-    const memo = document.getElementById("text-memo").value.trim();
+  // Show a dialog and move focus into it. The element that had focus gets
+  // it back when the dialog closes
+  openDialog(id) {
+    const dialog = document.getElementById(id);
+    if (!dialog.classList.contains("hidden")) return;
+
+    const returnFocus = document.activeElement;
+    this.dialogStack.push({
+      dialog,
+      returnFocus,
+      // Cards are rebuilt after edits, so the clip's new card may take over
+      clipId: returnFocus?.closest?.("[data-clip-id]")?.dataset.clipId,
+    });
+    dialog.classList.remove("hidden");
+    if (!dialog.contains(document.activeElement)) {
+      this.getFocusableElements(dialog)[0]?.focus();
+    }
+  }
 
-    if (!content) {
-      this.showError("Please enter some text");
+  // Hide a dialog opened with openDialog and restore the focus
+  closeDialog(id) {
+    const dialog = document.getElementById(id);
+    if (dialog.classList.contains("hidden")) return;
+    dialog.classList.add("hidden");
+
+    const index = this.dialogStack.findIndex(
+      (entry) => entry.dialog === dialog
+    );
+    if (index === -1) return;
+    const [entry] = this.dialogStack.splice(index, 1);
+
+    // Dialogs opened from this one hand focus back past it
+    this.dialogStack.forEach((other) => {
+      if (dialog.contains(other.returnFocus)) {
+        other.returnFocus = entry.returnFocus;
+        other.clipId = entry.clipId;
+      }
+    });
+
+    // Leave focus alone when it already moved on to something else
+    const active = document.activeElement;
+    if (active && active !== document.body && !dialog.contains(active)) return;
+
+    if (entry.returnFocus?.isConnected) {
+      entry.returnFocus.focus();
+    } else if (entry.clipId) {
+      document
+        .querySelector(`#clips-container [data-clip-id="${entry.clipId}"]`)
+        ?.focus();
+    }
+  }
+
+  // Visible elements of a dialog that take focus, in tab order
+  getFocusableElements(dialog) {
+    return Array.from(
+      dialog.querySelectorAll(
+        "a[href], button, input, select, textarea, [tabindex]"
+      )
+    ).filter(
+      (element) =>
+        !element.disabled &&
+        element.tabIndex >= 0 &&
+        element.getClientRects().length > 0
+    );
+  }
+
+  // Keep Tab and Shift+Tab inside the topmost dialog; returns false when
+  // no dialog is open
+  trapFocus(event) {
+    const top = this.dialogStack[this.dialogStack.length - 1];
+    if (!top) return false;
+
+    const focusable = this.getFocusableElements(top.dialog);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!first) {
+      event.preventDefault();
+    } else if (!top.dialog.contains(active)) {
+      event.preventDefault();
+      (event.shiftKey ? last : first).focus();
+    } else if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+    return true;
+  }
+
+  // Move between the cards of the grid with the arrow keys, Home and End.
+  // Enter copies the focused card, or opens it when it's an image
+  handleCardKeydown(event) {
+    const card = event.target;
+    if (!card.matches("#clips-container > [data-clip-id]")) return;
+    if (event.ctrlKey || event.metaKey || event.altKey || event.shiftKey) {
       return;
     }
 
-    try {
-      await this.db.saveClip({
-        type: "text",
-        content: content,
-        tags: tags,
-        memo: memo,
-        mimeType: "text/plain",
+    const cards = Array.from(
+      document.querySelectorAll("#clips-container > [data-clip-id]")
+    );
+    const index = cards.indexOf(card);
+    let target = null;
+
+    if (event.key === "ArrowLeft") {
+      target = cards[index - 1];
+    } else if (event.key === "ArrowRight") {
+      target = cards[index + 1];
+    } else if (event.key === "ArrowUp") {
+      target = this.getCardInColumn(cards, card, -1);
+    } else if (event.key === "ArrowDown") {
+      target = this.getCardInColumn(cards, card, 1);
+    } else if (event.key === "Home") {
+      target = cards[0];
+    } else if (event.key === "End") {
+      target = cards[cards.length - 1];
+    } else if (event.key === "Enter") {
+      const clip = this.getFocusedClip();
+      if (clip?.type === "image") {
+        this.showImagePreview(clip);
+      } else if (clip) {
+        this.copyClip(clip);
+      }
+    } else {
+      return;
+    }
+
+    // Keys used here don't also run a command
+    event.preventDefault();
+    event.stopPropagation();
+    target?.focus();
+  }
+
+  // Card in the next (step 1) or previous (step -1) row of the grid that
+  // is closest to the column of the given card
+  getCardInColumn(cards, card, step) {
+    const { top, left } = card.getBoundingClientRect();
+    const candidates = cards
+      .map((other) => ({ card: other, rect: other.getBoundingClientRect() }))
+      .filter(({ rect }) =>
+        step > 0 ? rect.top > top + 1 : rect.top < top - 1
+      );
+    if (candidates.length === 0) return null;
+
+    const tops = candidates.map(({ rect }) => rect.top);
+    const rowTop = step > 0 ? Math.min(...tops) : Math.max(...tops);
+    return candidates
+      .filter(({ rect }) => Math.abs(rect.top - rowTop) <= 1)
+      .reduce((best, candidate) =>
+        Math.abs(candidate.rect.left - left) < Math.abs(best.rect.left - left)
+          ? candidate
+          : best
+      ).card;
+  }
+
+  // Check whether an element takes typed text
+  isEditable(element) {
+    return (
+      element instanceof HTMLElement &&
+      (element.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName))
+    );
+  }
+
+  // Binding of a command: the user's own, or the default
+  getBinding(id, bindings = this.keyBindings) {
+    return id in bindings ? bindings[id] : COMMANDS[id].binding;
+  }
+
+  // Run a command; returns false when it doesn't apply right now
+  runCommand(id) {
+    const filters = {
+      showAll: "",
+      showText: "text",
+      showImages: "image",
+      showFiles: "file",
+      showFavorites: "favorites",
+    };
+    if (id in filters) {
+      document.getElementById("category-filter").value = filters[id];
+      this.handleFilter(filters[id]);
+      return true;
+    }
+
+    const clip = this.getFocusedClip();
+    switch (id) {
+      case "palette":
+        this.toggleCommandPalette();
+        return true;
+      case "addText":
+        this.showTextModal();
+        return true;
+      case "addImage":
+        this.showImageModal();
+        return true;
+      case "addFile":
+        this.showFileModal();
+        return true;
+      case "paste":
+        this.handlePaste();
+        return true;
+      case "search":
+        document.getElementById("search-input").focus();
+        return true;
+      case "copyClip":
+        if (!clip) return false;
+        this.copyClip(clip);
+        return true;
+      case "editClip":
+        if (!clip) return false;
+        this.editClip(clip);
+        return true;
+      case "deleteClip":
+        if (!clip) return false;
+        this.deleteClip(clip.id);
+        return true;
+      case "undoImageEdit":
+        if (!this.editorClip) return false;
+        this.imageEditor.undo();
+        return true;
+      case "findDuplicates":
+        this.showDuplicatesModal();
+        return true;
+      case "importBackup":
+        this.showImportModal();
+        return true;
+      case "exportAll":
+        this.exportAll();
+        return true;
+      case "settings":
+        this.showSettingsModal();
+        return true;
+      case "closeModals":
+        this.closeModals();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Clip whose card contains the focused element, if any
+  getFocusedClip() {
+    const card = document.activeElement?.closest?.(
+      "#clips-container [data-clip-id]"
+    );
+    if (!card) return null;
+    const id = Number(card.getAttribute("data-clip-id"));
+    return this.clips.find((clip) => clip.id === id) || null;
+  }
+
+  // Copy a clip the way its card does: text and images to the clipboard,
+  // other files to the downloads folder
+  copyClip(clip) {
+    if (clip.type === "text") {
+      this.copyToClipboard(clip.content, clip);
+    } else if (clip.type === "image") {
+      this.copyImage(clip);
+    } else if (clip.type === "file") {
+      this.downloadFile(clip.content, clip.filename || `file-${clip.id}`);
+    }
+  }
+
+  // Close every modal and menu
+  closeModals() {
+    if (!this.confirmDiscardEdits()) return;
+    this.hideCommandPalette();
+    this.hideTextModal();
+    this.hideImageModal();
+    this.hideFileModal();
+    this.hideImagePreview();
+    this.hideHistory();
+    this.hideImportModal();
+    this.hideSettingsModal();
+    this.hideTemplateModal();
+    this.hideTransformModal();
+    this.hideConvertModal();
+    this.hideDuplicatesModal();
+    this.resolveDuplicate(null);
+    this.hideTagModal();
+    this.hideCollectionDeleteModal();
+    this.closeCardMenus();
+  }
+
+  // List the commands and their bindings in the settings modal, keeping
+  // focus on the button of the command that was just changed
+  renderShortcutList(focusId = null) {
+    const list = document.getElementById("shortcut-list");
+    list.innerHTML = "";
+
+    Object.entries(COMMANDS).forEach(([id, command]) => {
+      const binding = this.getBinding(id, this.draftBindings);
+      const recording = this.recordingCommand === id;
+      const row = this.createElement("li", {
+        className: "flex items-center justify-between gap-3 py-1.5",
       });
+      row.appendChild(
+        this.createElement(
+          "span",
+          { className: "text-sm text-apple-gray-700 dark:text-apple-gray-300" },
+          command.name
+        )
+      );
+      row.appendChild(
+        this.createElement(
+          "button",
+          {
+            type: "button",
+            className: `min-w-[7rem] px-2 py-1 rounded border text-xs font-mono ${
+              recording
+                ? "border-blue-500 text-blue-600 dark:text-blue-400"
+                : "border-apple-gray-300 dark:border-apple-gray-600 text-apple-gray-700 dark:text-apple-gray-300 hover:bg-apple-gray-100 dark:hover:bg-apple-gray-700"
+            }`,
+            title:
+              "Click, then press the new keys (Esc cancels, Backspace removes the shortcut)",
+            "aria-label": `${command.name}: ${
+              formatBinding(binding) || "no shortcut"
+            }. Press to change`,
+            "data-command": id,
+            onclick: () => {
+              this.recordingCommand = recording ? null : id;
+              this.renderShortcutList(id);
+            },
+          },
+          recording ? "Press keys…" : formatBinding(binding) || "—"
+        )
+      );
+      list.appendChild(row);
+    });
 
-      // Clear clipboard if it was used
-      if (this.clipboardUsed) {
-        try {
-          await navigator.clipboard.writeText("");
-          this.clipboardUsed = false;
-        } catch (error) {
-          console.log("Failed to clear clipboard:", error);
+    if (focusId) list.querySelector(`[data-command="${focusId}"]`).focus();
+  }
+
+  // Use the next key combination as the binding of the recorded command
+  recordBinding(event) {
+    // Wait for the key that goes with the modifiers
+    if (["Control", "Shift", "Alt", "Meta"].includes(event.key)) return;
+    event.preventDefault();
+
+    const id = this.recordingCommand;
+    this.recordingCommand = null;
+    const binding = getEventBinding(event);
+
+    if (binding === "Backspace") {
+      this.draftBindings[id] = "";
+    } else if (binding !== "Escape") {
+      // A key combination runs a single command
+      Object.keys(COMMANDS).forEach((other) => {
+        if (
+          other !== id &&
+          matchesBinding(this.getBinding(other, this.draftBindings), binding)
+        ) {
+          this.draftBindings[other] = "";
+          this.showSuccess(
+            `${formatBinding(binding)} no longer runs "${COMMANDS[other].name}"`
+          );
         }
-      }
+      });
+      this.draftBindings[id] = binding;
+    }
+    this.renderShortcutList(id);
+  }
 
-      await this.loadClips();
-      this.renderClips();
-      this.hideTextModal();
-      this.showSuccess("Text clip saved successfully");
-    } catch (error) {
-      console.error("Save error:", error);
-      this.showError("Failed to save clip");
+  // Go back to the default bindings; saved with the other settings
+  resetKeyBindings() {
+    this.draftBindings = {};
+    this.recordingCommand = null;
+    this.renderShortcutList();
+  }
+
+  // Open the command palette, or close it when it's already open
+  toggleCommandPalette() {
+    if (
+      document.getElementById("command-palette").classList.contains("hidden")
+    ) {
+      this.showCommandPalette();
+    } else {
+      this.hideCommandPalette();
     }
   }
 
-  // Save image clip
-  async saveImageClip() {
-    const fileInput = document.getElementById("image-input");
-    const tags = document
-      .getElementById("image-tags")
-      .value.split(",")
-      .map((tag) => tag.trim())
-      .filter((tag) => tag);
-    const memo = document.getElementById("image-memo").value.trim();
+  // Show the command palette
+  showCommandPalette() {
+    const input = document.getElementById("palette-input");
+    input.value = "";
+    this.updateCommandPalette();
+    this.openDialog("command-palette");
+    input.focus();
+  }
 
-    if (!fileInput.files[0]) {
-      this.showError("Please select an image file");
+  // Hide the command palette; focus goes back to where it was, so
+  // commands for the focused clip apply to it
+  hideCommandPalette() {
+    this.closeDialog("command-palette");
+    this.paletteItems = [];
+  }
+
+  // Find the commands and clips matching the palette query
+  updateCommandPalette() {
+    const query = document.getElementById("palette-input").value.trim();
+
+    const commands = Object.entries(COMMANDS)
+      .filter(([, command]) => command.palette !== false)
+      .map(([id, command]) => ({
+        id,
+        command,
+        score: fuzzyMatch(query, command.name),
+      }))
+      .filter((item) => item.score !== null)
+      .sort((a, b) => b.score - a.score);
+
+    // Without a query the most recent clips are offered
+    const clips = query
+      ? this.searchIndex.search(query, this.clips, { fuzzy: true }).clips
+      : [...this.clips].sort(
+          (a, b) => this.getSortDate(b) - this.getSortDate(a)
+        );
+
+    this.paletteItems = [
+      ...commands.slice(0, query ? 5 : commands.length),
+      ...clips.slice(0, 8).map((clip) => ({ clip })),
+    ];
+    this.paletteIndex = 0;
+    this.renderCommandPalette();
+  }
+
+  // Short description of a clip for the palette
+  getClipSummary(clip) {
+    if (clip.type === "text") {
+      const text = clip.content.replace(/\s+/g, " ").trim();
+      return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+    }
+    return clip.filename || clip.memo || `Untitled ${clip.type}`;
+  }
+
+  // Show the palette results with the selected one highlighted
+  renderCommandPalette() {
+    const list = document.getElementById("palette-results");
+    const input = document.getElementById("palette-input");
+    list.innerHTML = "";
+
+    if (this.paletteItems.length === 0) {
+      list.appendChild(
+        this.createElement(
+          "li",
+          {
+            className:
+              "px-4 py-2 text-sm text-apple-gray-500 dark:text-apple-gray-400",
+          },
+          "No matching commands or clips"
+        )
+      );
+      input.removeAttribute("aria-activedescendant");
       return;
     }
 
-    try {
-      const file = fileInput.files[0];
-      const reader = new FileReader();
+    const icons = { text: "📝", image: "🖼", file: "📄" };
+    let section = null;
+    this.paletteItems.forEach((item, index) => {
+      const itemSection = item.clip ? "Clips" : "Commands";
+      if (itemSection !== section) {
+        section = itemSection;
+        list.appendChild(
+          this.createElement(
+            "li",
+            {
+              role: "presentation",
+              className:
+                "px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-apple-gray-400",
+            },
+            section
+          )
+        );
+      }
+
+      const selected = index === this.paletteIndex;
+      const option = this.createElement("li", {
+        id: `palette-option-${index}`,
+        role: "option",
+        "aria-selected": String(selected),
+        className: `flex items-center justify-between gap-3 px-4 py-2 text-sm cursor-pointer ${
+          selected
+            ? "bg-blue-600 text-white"
+            : "text-apple-gray-700 dark:text-apple-gray-200 hover:bg-apple-gray-100 dark:hover:bg-apple-gray-700"
+        }`,
+        onclick: () => this.choosePaletteItem(item),
+      });
+
+      const label = item.clip
+        ? `${icons[item.clip.type]} ${this.getClipSummary(item.clip)}`
+        : item.command.name;
+      option.appendChild(
+        this.createElement("span", { className: "truncate" }, label)
+      );
+      const hint = item.clip
+        ? item.clip.type === "file"
+          ? "Download"
+          : "Copy"
+        : formatBinding(this.getBinding(item.id));
+      if (hint) {
+        option.appendChild(
+          this.createElement(
+            "span",
+            {
+              className: `shrink-0 text-xs ${
+                selected ? "text-blue-100" : "text-apple-gray-400"
+              }`,
+            },
+            hint
+          )
+        );
+      }
+      list.appendChild(option);
+    });
+
+    input.setAttribute(
+      "aria-activedescendant",
+      `palette-option-${this.paletteIndex}`
+    );
+    document
+      .getElementById(`palette-option-${this.paletteIndex}`)
+      .scrollIntoView({ block: "nearest" });
+  }
+
+  // Move through the palette results with the arrow keys, choose one with
+  // Enter
+  handlePaletteKeydown(event) {
+    const count = this.paletteItems.length;
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (count === 0) return;
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      this.paletteIndex = (this.paletteIndex + step + count) % count;
+      this.renderCommandPalette();
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      const item = this.paletteItems[this.paletteIndex];
+      if (item) this.choosePaletteItem(item);
+    } else if (event.key === "Escape") {
+      // Only the palette closes, not the dialog it was opened over
+      event.preventDefault();
+      event.stopPropagation();
+      this.hideCommandPalette();
+    }
+  }
+
+  // Run the chosen command, or copy the chosen clip straight away
+  choosePaletteItem(item) {
+    this.hideCommandPalette();
+    if (item.clip) {
+      this.copyClip(item.clip);
+    } else {
+      this.runCommand(item.id);
+    }
+  }
+
+  // Show settings modal
+  showSettingsModal() {
+    this.draftBindings = { ...this.keyBindings };
+    this.recordingCommand = null;
+    this.renderShortcutList();
+    document.getElementById("auto-capture-enabled").checked =
+      this.autoCapture.enabled;
+    document.getElementById("auto-capture-limit").value =
+      this.autoCapture.maxHistory;
+    this.openDialog("settings-modal");
+  }
 
-      reader.onload = async (e) => {
-        try {
-          await this.db.saveClip({
-            type: "image",
-            content: e.target.result,
-            tags: tags,
-            memo: memo,
-            filename: file.name,
-            filesize: file.size,
-            mimeType: file.type,
-          });
+  // Hide settings modal
+  hideSettingsModal() {
+    this.closeDialog("settings-modal");
+    this.recordingCommand = null;
+    this.draftBindings = null;
+  }
 
-          // Clear clipboard if it was used
-          if (this.clipboardImageUsed) {
-            try {
-              await navigator.clipboard.write([]);
-              this.clipboardImageUsed = false;
-            } catch (error) {
-              console.log("Failed to clear clipboard:", error);
-            }
-          }
+  // Save the settings modal
+  async saveSettings() {
+    const enabled = document.getElementById("auto-capture-enabled").checked;
+    const maxHistory = Number(
+      document.getElementById("auto-capture-limit").value
+    );
 
-          await this.loadClips();
-          this.renderClips();
-          this.hideImageModal();
-          this.showSuccess("Image clip saved successfully");
-        } catch (error) {
-          console.error("Save error:", error);
-          this.showError("Failed to save clip");
-        }
-      };
+    if (!Number.isInteger(maxHistory) || maxHistory < 1) {
+      this.showError("History length must be a whole number of at least 1");
+      return;
+    }
+
+    // Only bindings that differ from the defaults are stored
+    const keyBindings = {};
+    Object.entries(this.draftBindings).forEach(([id, binding]) => {
+      if (COMMANDS[id] && binding !== COMMANDS[id].binding) {
+        keyBindings[id] = binding;
+      }
+    });
 
-      reader.readAsDataURL(file);
+    try {
+      this.autoCapture = { enabled, maxHistory };
+      await this.db.setSetting("autoCapture", this.autoCapture);
+      this.keyBindings = keyBindings;
+      await this.db.setSetting("keyBindings", this.keyBindings);
+      this.hideSettingsModal();
+      this.showSuccess("Settings saved");
+
+      if (await this.pruneAutoCaptured()) {
+        await this.loadClips();
+        this.renderClips();
+      }
     } catch (error) {
-      console.error("File reading error:", error);
-      this.showError("Failed to read the file");
+      console.error("Settings error:", error);
+      this.showError("Failed to save settings");
     }
   }
 
-  // Delete clip
-  async deleteClip(id) {
-    if (!confirm("Are you sure you want to delete this clip?")) return;
+  // Save new clipboard content when automatic capture is on
+  async captureClipboard() {
+    if (!this.autoCapture.enabled || this.capturing) return;
+    this.capturing = true;
 
     try {
-      await this.db.deleteClip(id);
+      const clip = await this.readClipboard();
+      if (!clip) return;
+
+      // Skip content that was already captured last time
+      if (this.lastCaptureKey === null) {
+        const last = this.clips
+          .filter((other) => other.tags.includes(AUTO_CAPTURE_TAG))
+          .sort((a, b) => this.getSortDate(b) - this.getSortDate(a))[0];
+        if (last) this.lastCaptureKey = await this.getDuplicateKey(last);
+      }
+      const key = await this.getDuplicateKey(clip);
+      if (key === this.lastCaptureKey) return;
+      this.lastCaptureKey = key;
+
+      if (clip.type === "image") {
+        clip.thumbnail = await this.createThumbnail(clip.content);
+      }
+      // Content that is already saved just moves back to the top
+      await this.addClip(
+        { ...clip, tags: [AUTO_CAPTURE_TAG], memo: "" },
+        { ask: false }
+      );
+      await this.pruneAutoCaptured();
       await this.loadClips();
       this.renderClips();
-      this.showSuccess("Clip deleted successfully");
     } catch (error) {
-      console.error("Delete error:", error);
-      this.showError("Failed to delete clip");
+      console.error("Auto capture error:", error);
+    } finally {
+      this.capturing = false;
     }
   }
 
-  // Copy to clipboard
-  async copyToClipboard(content) {
+  // Read the clipboard as a clip, or null when it is empty or unreadable
+  // Text wins over images, like in handlePaste
+  async readClipboard() {
     try {
-      await navigator.clipboard.writeText(content);
-      this.showSuccess("Copied to clipboard successfully");
-    } catch (error) {
-      console.error("Copy error:", error);
-      this.showError("Failed to copy to clipboard");
-    }
-  }
-
-  // Download image
-  downloadImage(dataUrl, filename) {
-    const link = document.createElement("a");
-    link.download = filename + ".png";
-    link.href = dataUrl;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    this.showSuccess("Image downloaded successfully");
-  }
-
-  // Handle search
-  handleSearch(query) {
-    this.currentSearch = query;
-    this.renderClips();
-  }
-
-  // Handle tag click to search
-  searchByTag(tag) {
-    const searchInput = document.getElementById("search-input");
-    searchInput.value = tag;
-    this.handleSearch(tag);
-  }
-
-  // Handle filter
-  handleFilter(filter) {
-    this.currentFilter = filter;
-    this.renderClips();
-  }
-
-  // Handle sort
-  handleSort(sort) {
-    this.currentSort = sort;
-    this.renderClips();
-  }
+      const clipboardItems = await navigator.clipboard.read();
+      let image = null;
 
-  // Handle keyboard shortcuts
-  handleKeyboard(event) {
-    // Ctrl+Shift+1: Add text
-    if (
-      event.ctrlKey &&
-      event.shiftKey &&
-      (event.key === "!" || event.key === "1")
-    ) {
-      event.preventDefault();
-      this.showTextModal();
-    }
-    // Ctrl+Shift+2: Add image
-    if (event.ctrlKey && event.shiftKey && event.key === "@") {
-      event.preventDefault();
-      this.showImageModal();
-    }
-    // Ctrl+V / Cmd+V: Paste from clipboard
-    if ((event.ctrlKey || event.metaKey) && event.key === "v") {
-      // Check if search input is focused
-      const searchInput = document.getElementById("search-input");
-      const isSearchInputFocused = document.activeElement === searchInput;
+      for (const clipboardItem of clipboardItems) {
+        const { text, html } = await this.readClipboardText(clipboardItem);
+        if (text.trim()) {
+          return {
+            type: "text",
+            content: text,
+            ...(html && { html }),
+            mimeType: "text/plain",
+          };
+        }
+        const type = clipboardItem.types.find((t) => t.startsWith("image/"));
+        if (type && !image) image = await clipboardItem.getType(type);
+      }
 
-      if (!isSearchInputFocused) {
-        event.preventDefault();
-        this.handlePaste();
+      if (image) {
+        return {
+          type: "image",
+          content: image,
+          filename: `clipboard-image.${image.type.split("/")[1]}`,
+          filesize: image.size,
+          mimeType: image.type,
+        };
+      }
+      return null;
+    } catch {
+      // Fallback for browsers that don't support clipboard.read()
+      try {
+        const text = await navigator.clipboard.readText();
+        return text.trim()
+          ? { type: "text", content: text, mimeType: "text/plain" }
+          : null;
+      } catch {
+        // No permission or the page isn't focused yet
+        return null;
       }
-      // If search input is focused, let the browser handle the default paste behavior
     }
-    // Escape: Close modals
-    if (event.key === "Escape") {
-      this.hideTextModal();
-      this.hideImageModal();
-      this.hideImagePreview();
+  }
+
+  // Delete the oldest unpinned auto-captured clips beyond the history limit
+  // Resolves with the number of deleted clips
+  async pruneAutoCaptured() {
+    const clips = await this.db.getAllClips();
+    const history = clips
+      .filter((clip) => !clip.pinned && clip.tags.includes(AUTO_CAPTURE_TAG))
+      .sort((a, b) => this.getSortDate(b) - this.getSortDate(a));
+    const excess = history.slice(this.autoCapture.maxHistory);
+
+    for (const clip of excess) {
+      await this.db.deleteClip(clip.id);
     }
+    return excess.length;
   }
 
   // Handle paste from clipboard
@@ -847,22 +7565,41 @@ class PastecaseApp {
 
   // Show image preview modal
   showImagePreview(clip) {
-    const modal = document.getElementById("image-preview-modal");
     const previewImage = document.getElementById("preview-image");
     const imageTitle = document.getElementById("preview-image-title");
+    const copyBtn = document.getElementById("preview-copy-btn");
     const downloadBtn = document.getElementById("preview-download-btn");
+    const convertBtn = document.getElementById("preview-convert-btn");
+    const editBtn = document.getElementById("preview-edit-btn");
+    const copyTextBtn = document.getElementById("preview-copy-text-btn");
     const deleteBtn = document.getElementById("preview-delete-btn");
 
     // Set image source and title
-    previewImage.src = clip.content;
+    const image = this.getDisplayImage(clip, { thumbnail: false });
+    previewImage.classList.toggle("hidden", !image);
+    document
+      .getElementById("preview-image-unreadable")
+      .classList.toggle("hidden", Boolean(image));
+    if (image) {
+      this.previewUrl = URL.createObjectURL(image);
+      previewImage.src = this.previewUrl;
+    }
     imageTitle.textContent =
       clip.memo || `Image - ${new Date(clip.createdAt).toLocaleDateString()}`;
 
     // Update button handlers
+    copyBtn.onclick = () => this.copyImage(clip);
     downloadBtn.onclick = () => {
-      this.downloadImage(clip.content, `image-${clip.id}`);
+      this.downloadImage(clip);
       this.hideImagePreview();
     };
+    convertBtn.onclick = () => {
+      this.hideImagePreview();
+      this.showConvertModal(clip);
+    };
+    editBtn.onclick = () => this.showImageEditor(clip);
+    copyTextBtn.classList.toggle("hidden", !clip.ocrText);
+    copyTextBtn.onclick = () => this.copyToClipboard(clip.ocrText);
 
     deleteBtn.onclick = () => {
       if (confirm("Are you sure you want to delete this image?")) {
@@ -871,26 +7608,461 @@ class PastecaseApp {
       }
     };
 
-    // Show modal
-    modal.classList.remove("hidden");
-
-    // Focus trap for accessibility
-    downloadBtn.focus();
+    // Show modal, starting on its first action
+    this.openDialog("image-preview-modal");
+    copyBtn.focus();
   }
 
   // Hide image preview modal
   hideImagePreview() {
-    const modal = document.getElementById("image-preview-modal");
     const previewImage = document.getElementById("preview-image");
 
-    modal.classList.add("hidden");
+    this.closeDialog("image-preview-modal");
+    this.hideImageEditor();
     previewImage.src = "";
+    if (this.previewUrl) {
+      URL.revokeObjectURL(this.previewUrl);
+      this.previewUrl = null;
+    }
 
     // Clean up event handlers
+    document.getElementById("preview-copy-btn").onclick = null;
     document.getElementById("preview-download-btn").onclick = null;
+    document.getElementById("preview-convert-btn").onclick = null;
+    document.getElementById("preview-edit-btn").onclick = null;
+    document.getElementById("preview-copy-text-btn").onclick = null;
     document.getElementById("preview-delete-btn").onclick = null;
   }
 
+  // Switch the image preview to the editor
+  async showImageEditor(clip) {
+    try {
+      this.imageEditor.load(await this.loadImage(clip.content));
+    } catch (error) {
+      console.error("Editor error:", error);
+      this.showError("This image can't be edited");
+      return;
+    }
+
+    this.editorClip = clip;
+    this.setEditorMode(true);
+    this.setEditorTool(this.imageEditor.tool);
+  }
+
+  // Ask before unsaved changes in the image editor are thrown away; true
+  // when the editor may close
+  confirmDiscardEdits() {
+    return (
+      !this.editorClip ||
+      !this.imageEditor.canUndo ||
+      confirm("Discard your changes to this image?")
+    );
+  }
+
+  // Leave the editor, dropping unsaved changes
+  hideImageEditor() {
+    if (!this.editorClip) return;
+    this.editorClip = null;
+    this.setEditorMode(false);
+  }
+
+  // Show either the preview or the editor in the image preview modal
+  setEditorMode(editing) {
+    ["image-editor-toolbar", "image-editor-stage", "editor-actions"].forEach(
+      (id) => document.getElementById(id).classList.toggle("hidden", !editing)
+    );
+    ["preview-image", "preview-actions"].forEach((id) =>
+      document.getElementById(id).classList.toggle("hidden", editing)
+    );
+  }
+
+  // Pick the tool used when dragging on the image
+  setEditorTool(tool) {
+    this.imageEditor.tool = tool;
+    document.querySelectorAll("[data-editor-tool]").forEach((button) => {
+      const active = button.dataset.editorTool === tool;
+      button.setAttribute("aria-pressed", String(active));
+      ["bg-blue-600", "text-white"].forEach((name) =>
+        button.classList.toggle(name, active)
+      );
+      [
+        "text-apple-gray-700",
+        "dark:text-apple-gray-300",
+        "hover:bg-apple-gray-100",
+        "dark:hover:bg-apple-gray-700",
+      ].forEach((name) => button.classList.toggle(name, !active));
+    });
+  }
+
+  // Show the edited image's size and whether there is anything to undo
+  updateEditorControls() {
+    const { width, height } = this.imageEditor.canvas;
+    document.getElementById("editor-width").value = width;
+    document.getElementById("editor-height").value = height;
+    document.getElementById("editor-undo").disabled = !this.imageEditor.canUndo;
+  }
+
+  // Follow a changed width or height with the other one
+  keepEditorRatio(changed) {
+    if (!document.getElementById("editor-keep-ratio").checked) return;
+
+    const { width, height } = this.imageEditor.canvas;
+    const widthInput = document.getElementById("editor-width");
+    const heightInput = document.getElementById("editor-height");
+    if (changed === "width") {
+      heightInput.value = Math.max(
+        1,
+        Math.round((Number(widthInput.value) * height) / width)
+      );
+    } else {
+      widthInput.value = Math.max(
+        1,
+        Math.round((Number(heightInput.value) * width) / height)
+      );
+    }
+  }
+
+  // Scale the edited image to the entered size
+  resizeEditedImage() {
+    const width = Number(document.getElementById("editor-width").value);
+    const height = Number(document.getElementById("editor-height").value);
+    const valid = (value) =>
+      Number.isInteger(value) && value >= 1 && value <= 10000;
+    if (!valid(width) || !valid(height)) {
+      this.showError("Enter a size between 1 and 10000 pixels");
+      return;
+    }
+    this.imageEditor.resize(width, height);
+  }
+
+  // Save the edited image as a new clip, or as a new version of the
+  // original that keeps the old picture in its history
+  async saveEditedImage(asRevision) {
+    const clip = this.editorClip;
+    if (!clip) return;
+
+    // Keep the original format when a canvas can write it
+    const type = IMAGE_FORMATS[clip.content.type]
+      ? clip.content.type
+      : "image/png";
+
+    try {
+      const blob = await this.imageEditor.toBlob(
+        type,
+        DEFAULT_IMAGE_CONVERSION.quality
+      );
+      if (!blob) throw new Error("Failed to encode image");
+
+      const fields = {
+        content: blob,
+        thumbnail: await this.createThumbnail(blob),
+        ocrText: null,
+        filename: this.getImageFilename(clip, blob.type),
+        filesize: blob.size,
+        mimeType: blob.type,
+      };
+
+      let result = "saved";
+      if (asRevision) {
+        await this.db.updateClip(clip.id, fields);
+      } else {
+        result = await this.addClip({
+          type: "image",
+          ...fields,
+          tags: [...clip.tags],
+          memo: clip.memo || "",
+        });
+        if (!result) return;
+      }
+
+      await this.loadClips();
+      this.renderClips();
+      this.hideImagePreview();
+      if (result === "saved") {
+        this.showSuccess(
+          asRevision
+            ? "Image updated; the previous version is in its history"
+            : "Edited image saved as a new clip"
+        );
+      }
+    } catch (error) {
+      console.error("Save error:", error);
+      this.showError("Failed to save image");
+    }
+  }
+
+  // Export every clip into one versioned JSON file
+  async exportAll() {
+    try {
+      const clips = await this.db.getAllClips();
+      const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        clips: await Promise.all(clips.map((clip) => this.serializeClip(clip))),
+      };
+
+      const blob = new Blob([JSON.stringify(backup, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.download = `pastecase-backup-${new Date()
+        .toISOString()
+        .slice(0, 10)}.json`;
+      link.href = url;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      this.showSuccess(`Exported ${clips.length} clips`);
+    } catch (error) {
+      console.error("Export error:", error);
+      this.showError("Failed to export clips");
+    }
+  }
+
+  // Convert a stored clip into a backup entry, encoding images as data URLs
+  async serializeClip(clip) {
+    return {
+      type: clip.type,
+      content:
+        clip.content instanceof Blob
+          ? await blobToDataUrl(clip.content)
+          : clip.content,
+      tags: clip.tags,
+      memo: clip.memo || "",
+      html: clip.html || undefined,
+      ocrText: clip.ocrText || undefined,
+      filename: clip.filename,
+      filesize: clip.filesize,
+      mimeType: clip.mimeType,
+      pinned: Boolean(clip.pinned),
+      pinOrder: clip.pinned ? clip.pinOrder : null,
+      favorite: Boolean(clip.favorite),
+      bumpedAt: clip.bumpedAt,
+      language: clip.language,
+      templateValues: clip.templateValues,
+      collection: this.getCollectionName(clip.collectionId),
+      createdAt: clip.createdAt,
+      updatedAt: clip.updatedAt,
+    };
+  }
+
+  // Show import modal
+  showImportModal() {
+    document.getElementById("import-report").classList.add("hidden");
+    this.openDialog("import-modal");
+  }
+
+  // Hide import modal
+  hideImportModal() {
+    this.closeDialog("import-modal");
+    document.getElementById("import-input").value = "";
+    document.getElementById("import-report").textContent = "";
+    document.getElementById("import-mode-merge").checked = true;
+  }
+
+  // Read the selected backup file and add its clips
+  async importBackup() {
+    const file = document.getElementById("import-input").files[0];
+    const replace = document.getElementById("import-mode-replace").checked;
+
+    if (!file) {
+      this.showError("Please select a backup file");
+      return;
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+      this.validateBackup(backup);
+    } catch (error) {
+      console.error("Import error:", error);
+      this.showError(`Invalid backup file: ${error.message}`);
+      return;
+    }
+
+    if (
+      replace &&
+      !confirm("Replace all existing clips with the contents of this backup?")
+    ) {
+      return;
+    }
+
+    // Validate clips one by one so a single bad entry doesn't stop the import
+    const errors = [];
+    const accepted = [];
+    const seen = new Set(
+      replace
+        ? []
+        : await Promise.all(
+            this.clips.map((clip) => this.getDuplicateKey(clip))
+          )
+    );
+    let skipped = 0;
+
+    for (const [index, entry] of backup.clips.entries()) {
+      try {
+        const clip = this.validateBackupClip(entry);
+        clip.contentHash = await hashContent(clip.content);
+        const key = await this.getDuplicateKey(clip);
+        if (seen.has(key)) {
+          skipped++;
+          continue;
+        }
+        seen.add(key);
+        accepted.push({ index, clip });
+      } catch (error) {
+        errors.push({ index, message: error.message });
+      }
+    }
+
+    try {
+      const result = await this.db.importClips(accepted, replace);
+      errors.push(...result.errors);
+
+      await this.loadClips();
+      // A replaced library may no longer have the open collection
+      if (
+        typeof this.currentCollection === "number" &&
+        !this.collections.some(({ id }) => id === this.currentCollection)
+      ) {
+        this.currentCollection = "all";
+      }
+      this.renderClips();
+      this.showImportReport(result.added, skipped, errors);
+      this.showSuccess(`Imported ${result.added} clips`);
+      await this.generateMissingThumbnails();
+    } catch (error) {
+      console.error("Import error:", error);
+      this.showError("Failed to import clips");
+    }
+  }
+
+  // Check the top-level structure of a backup file
+  validateBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+      throw new Error("not a Pastecase backup");
+    }
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error("missing backup version");
+    }
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error(
+        `backup version ${backup.version} is newer than supported (${BACKUP_VERSION})`
+      );
+    }
+    if (!Array.isArray(backup.clips)) {
+      throw new Error("missing clip list");
+    }
+  }
+
+  // Check a single backup entry and return it as a clip record
+  validateBackupClip(entry) {
+    if (!entry || typeof entry !== "object") {
+      throw new Error("entry is not an object");
+    }
+    if (!["text", "image", "file"].includes(entry.type)) {
+      throw new Error(`unknown clip type "${entry.type}"`);
+    }
+    if (typeof entry.content !== "string" || !entry.content) {
+      throw new Error("missing content");
+    }
+    if (entry.type === "image" && !entry.content.startsWith("data:image/")) {
+      throw new Error("image content is not a data URL");
+    }
+    if (entry.type === "file" && !entry.content.startsWith("data:")) {
+      throw new Error("file content is not a data URL");
+    }
+    if (
+      entry.tags !== undefined &&
+      (!Array.isArray(entry.tags) ||
+        entry.tags.some((tag) => typeof tag !== "string"))
+    ) {
+      throw new Error("tags must be a list of strings");
+    }
+    if (entry.memo !== undefined && typeof entry.memo !== "string") {
+      throw new Error("memo must be a string");
+    }
+
+    const now = new Date().toISOString();
+    const toDate = (value, field) => {
+      if (value === undefined) return now;
+      if (isNaN(Date.parse(value))) {
+        throw new Error(`invalid ${field}`);
+      }
+      return new Date(value).toISOString();
+    };
+
+    const clip = {
+      type: entry.type,
+      content:
+        entry.type === "text" ? entry.content : dataUrlToBlob(entry.content),
+      tags: entry.tags || [],
+      memo: entry.memo || "",
+      mimeType:
+        entry.mimeType || (entry.type === "text" ? "text/plain" : undefined),
+      createdAt: toDate(entry.createdAt, "createdAt"),
+      updatedAt: toDate(entry.updatedAt, "updatedAt"),
+    };
+    if (entry.filename) clip.filename = String(entry.filename);
+    if (entry.favorite === true) clip.favorite = true;
+    if (entry.type === "text" && typeof entry.html === "string" && entry.html) {
+      clip.html = entry.html;
+    }
+    if (entry.type === "image" && typeof entry.ocrText === "string") {
+      clip.ocrText = entry.ocrText;
+    }
+    if (entry.type === "text" && typeof entry.language === "string") {
+      clip.language = SyntaxHighlighter.resolve(entry.language) || null;
+    }
+    if (
+      entry.templateValues &&
+      typeof entry.templateValues === "object" &&
+      Object.values(entry.templateValues).every(
+        (value) => typeof value === "string"
+      )
+    ) {
+      clip.templateValues = entry.templateValues;
+    }
+    if (entry.bumpedAt !== undefined) {
+      clip.bumpedAt = toDate(entry.bumpedAt, "bumpedAt");
+    }
+    if (entry.pinned === true) {
+      clip.pinned = true;
+      clip.pinOrder = Number.isFinite(entry.pinOrder) ? entry.pinOrder : 0;
+    }
+    if (Number.isFinite(entry.filesize)) clip.filesize = entry.filesize;
+    // Collections are stored by name and resolved to ids before saving
+    if (typeof entry.collection === "string" && entry.collection.trim()) {
+      clip.collection = entry.collection.trim();
+    }
+
+    return clip;
+  }
+
+  // Key used to detect clips with the same content
+  async getDuplicateKey(clip) {
+    const contentHash = clip.contentHash || (await hashContent(clip.content));
+    return `${clip.type}:${contentHash}`;
+  }
+
+  // Show the outcome of an import in the import modal
+  showImportReport(added, skipped, errors) {
+    const report = document.getElementById("import-report");
+    const lines = [`${added} clips imported, ${skipped} duplicates skipped.`];
+    if (errors.length > 0) {
+      lines.push(`${errors.length} clips could not be imported:`);
+      errors.forEach((error) => {
+        lines.push(`• Clip #${error.index + 1}: ${error.message}`);
+      });
+    }
+    report.textContent = lines.join("\n");
+    report.classList.remove("hidden");
+  }
+
   // Show success message
   showSuccess(message) {
     this.showToast(message, "success");
@@ -901,15 +8073,17 @@ class PastecaseApp {
     this.showToast(message, "error");
   }
 
-  // Show toast notification
+  // Show toast notification. Toasts go into a live region so screen
+  // readers announce them; errors interrupt
   showToast(message, type) {
     const toast = document.createElement("div");
-    toast.className = `fixed top-4 right-4 z-50 px-4 py-2 rounded-lg text-white text-sm font-medium transition-all duration-300 transform translate-x-full ${
+    toast.className = `px-4 py-2 rounded-lg text-white text-sm font-medium transition-all duration-300 transform translate-x-full ${
       type === "success" ? "bg-green-500" : "bg-red-500"
     }`;
+    toast.setAttribute("role", type === "success" ? "status" : "alert");
     toast.textContent = message;
 
-    document.body.appendChild(toast);
+    document.getElementById("toast-container").appendChild(toast);
 
     // Animation
     setTimeout(() => {
@@ -920,7 +8094,7 @@ class PastecaseApp {
     setTimeout(() => {
       toast.classList.add("translate-x-full");
       setTimeout(() => {
-        document.body.removeChild(toast);
+        toast.remove();
       }, 300);
     }, 3000);
   }
@@ -932,9 +8106,16 @@ class PastecaseApp {
       document.addEventListener(eventName, this.preventDefaults, false);
     });
 
-    // Highlight drop zone when item is dragged over
+    // Highlight drop zone when files are dragged over
+    // Cards dragged inside the page don't carry files and are ignored
     ["dragenter", "dragover"].forEach((eventName) => {
-      document.addEventListener(eventName, () => this.showDropZone(), false);
+      document.addEventListener(
+        eventName,
+        (e) => {
+          if (e.dataTransfer.types.includes("Files")) this.showDropZone();
+        },
+        false
+      );
     });
 
     ["dragleave", "drop"].forEach((eventName) => {
@@ -988,23 +8169,23 @@ class PastecaseApp {
     try {
       if (mimeType.startsWith("image/")) {
         // Handle image files
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          await this.db.saveClip({
-            type: "image",
-            content: e.target.result,
-            tags: ["dropped-file"],
-            memo: `Dropped image: ${fileName}`,
-            filename: fileName,
-            filesize: fileSize,
-            mimeType: mimeType,
-          });
-
-          await this.loadClips();
-          this.renderClips();
+        const blob = fileToBlob(file);
+        const result = await this.addClip({
+          type: "image",
+          content: blob,
+          thumbnail: await this.createThumbnail(blob),
+          tags: ["dropped-file"],
+          memo: `Dropped image: ${fileName}`,
+          filename: fileName,
+          filesize: fileSize,
+          mimeType: mimeType,
+        });
+
+        await this.loadClips();
+        this.renderClips();
+        if (result === "saved") {
           this.showSuccess(`Image "${fileName}" added successfully`);
-        };
-        reader.readAsDataURL(file);
+        }
       } else if (
         mimeType.startsWith("text/") ||
         mimeType === "application/json" ||
@@ -1012,26 +8193,38 @@ class PastecaseApp {
         fileName.endsWith(".md")
       ) {
         // Handle text files
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          await this.db.saveClip({
-            type: "text",
-            content: e.target.result,
-            tags: ["dropped-file", "text-file"],
-            memo: `Dropped file: ${fileName}`,
-            filename: fileName,
-            filesize: fileSize,
-            mimeType: mimeType,
-          });
-
-          await this.loadClips();
-          this.renderClips();
+        const result = await this.addClip({
+          type: "text",
+          content: await file.text(),
+          tags: ["dropped-file", "text-file"],
+          memo: `Dropped file: ${fileName}`,
+          filename: fileName,
+          filesize: fileSize,
+          mimeType: mimeType,
+        });
+
+        await this.loadClips();
+        this.renderClips();
+        if (result === "saved") {
           this.showSuccess(`Text file "${fileName}" added successfully`);
-        };
-        reader.readAsText(file);
+        }
       } else {
-        // Unsupported file type
-        this.showError(`Unsupported file type: ${mimeType || "unknown"}`);
+        // Anything else is kept as a file attachment
+        const result = await this.addClip({
+          type: "file",
+          content: fileToBlob(file),
+          tags: ["dropped-file"],
+          memo: `Dropped file: ${fileName}`,
+          filename: fileName,
+          filesize: fileSize,
+          mimeType: mimeType || "application/octet-stream",
+        });
+
+        await this.loadClips();
+        this.renderClips();
+        if (result === "saved") {
+          this.showSuccess(`File "${fileName}" added successfully`);
+        }
       }
     } catch (error) {
       console.error("Error processing dropped file:", error);